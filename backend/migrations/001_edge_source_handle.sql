@@ -0,0 +1,5 @@
+-- migrations/001_edge_source_handle.sql
+-- Edges leaving a condition node carry the output handle they belong to
+-- ('true' / 'false' or a switch case name). NULL means the default output.
+
+ALTER TABLE edges ADD COLUMN IF NOT EXISTS source_handle TEXT;
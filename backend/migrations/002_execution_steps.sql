@@ -0,0 +1,22 @@
+-- migrations/002_execution_steps.sql
+-- One row per node run inside an execution
+
+CREATE TABLE IF NOT EXISTS execution_steps (
+  id UUID PRIMARY KEY,
+  execution_id UUID NOT NULL REFERENCES executions(id) ON DELETE CASCADE,
+  node_id UUID,
+  node_label TEXT,
+  node_type TEXT,
+  step_index INTEGER NOT NULL,
+  status TEXT NOT NULL,              -- success | failed | skipped
+  config JSONB,                      -- config after {{ expressions }} were resolved
+  input JSONB,
+  output JSONB,
+  error_message TEXT,
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS execution_steps_execution_id_idx
+  ON execution_steps (execution_id, step_index);
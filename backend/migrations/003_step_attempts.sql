@@ -0,0 +1,4 @@
+-- migrations/003_step_attempts.sql
+-- Every attempt of a retried node: [{ attempt, status, error, started_at, ended_at }]
+
+ALTER TABLE execution_steps ADD COLUMN IF NOT EXISTS attempts JSONB;
@@ -0,0 +1,13 @@
+-- migrations/004_credentials.sql
+-- API keys, passwords and tokens that nodes reference by id (config.credentialId).
+-- data is the encrypted JSON of the secret fields (AES-256-GCM, key: CREDENTIALS_KEY).
+
+CREATE TABLE IF NOT EXISTS credentials (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'generic',  -- what the credential is for, e.g. 'smtp', 'github'
+  data TEXT NOT NULL,                    -- "<iv>:<auth tag>:<ciphertext>", base64
+  fields TEXT[] NOT NULL DEFAULT '{}',   -- names of the secret fields, safe to show
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
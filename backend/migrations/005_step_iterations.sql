@@ -0,0 +1,5 @@
+-- migrations/005_step_iterations.sql
+-- Steps run inside a loop body point at the loop node and the iteration (0-based)
+
+ALTER TABLE execution_steps ADD COLUMN IF NOT EXISTS loop_node_id UUID;
+ALTER TABLE execution_steps ADD COLUMN IF NOT EXISTS iteration INTEGER;
@@ -0,0 +1,6 @@
+-- migrations/006_execution_parent.sql
+-- Runs started by an execute_workflow node point at the execution that started them
+
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS parent_execution_id UUID REFERENCES executions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS executions_parent_execution_id_idx ON executions (parent_execution_id);
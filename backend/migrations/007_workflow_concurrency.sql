@@ -0,0 +1,5 @@
+-- migrations/007_workflow_concurrency.sql
+-- How many nodes of one run of this workflow may execute at the same time.
+-- NULL uses the server default (WORKFLOW_CONCURRENCY).
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS max_concurrency INTEGER;
@@ -0,0 +1,8 @@
+-- migrations/008_execution_retry.sql
+-- Executions keep the definition and payload they ran with, so they can be
+-- retried, and retries point at the execution they retry
+
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS snapshot JSONB;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS retry_of UUID REFERENCES executions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS executions_retry_of_idx ON executions (retry_of);
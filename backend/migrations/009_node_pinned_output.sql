@@ -0,0 +1,4 @@
+-- migrations/009_node_pinned_output.sql
+-- Sample output pinned on a node, used instead of running it when testing single nodes
+
+ALTER TABLE nodes ADD COLUMN IF NOT EXISTS pinned_output JSONB;
@@ -0,0 +1,94 @@
+-- migrations/010_workflow_graph_save.sql
+-- Saving a whole workflow graph in one transaction (PUT /api/workflows/:id/graph)
+--
+-- workflows.revision goes up with every change to the workflow's nodes or
+-- edges, whichever route made it. A save names the revision it started from
+-- and is rejected if another one got in first.
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_workflow_revision() RETURNS TRIGGER AS $$
+DECLARE
+  v_workflow_id UUID;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_workflow_id := OLD.workflow_id;
+  ELSE
+    v_workflow_id := NEW.workflow_id;
+  END IF;
+
+  UPDATE workflows SET revision = revision + 1 WHERE id = v_workflow_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS nodes_bump_workflow_revision ON nodes;
+CREATE TRIGGER nodes_bump_workflow_revision
+  AFTER INSERT OR UPDATE OR DELETE ON nodes
+  FOR EACH ROW EXECUTE FUNCTION bump_workflow_revision();
+
+DROP TRIGGER IF EXISTS edges_bump_workflow_revision ON edges;
+CREATE TRIGGER edges_bump_workflow_revision
+  AFTER INSERT OR UPDATE OR DELETE ON edges
+  FOR EACH ROW EXECUTE FUNCTION bump_workflow_revision();
+
+-- Applies a diff computed by the API. Everything happens in the one
+-- transaction of the call, so a failure leaves the graph as it was.
+-- Returns the new revision.
+--
+-- Errors use PostgREST's PTxxx codes, so they come back as HTTP 404 / 409.
+CREATE OR REPLACE FUNCTION save_workflow_graph(
+  p_workflow_id UUID,
+  p_revision INTEGER,
+  p_delete_node_ids UUID[],
+  p_delete_edge_ids UUID[],
+  p_upsert_nodes JSONB,
+  p_upsert_edges JSONB
+) RETURNS INTEGER AS $$
+DECLARE
+  v_revision INTEGER;
+BEGIN
+  SELECT revision INTO v_revision FROM workflows WHERE id = p_workflow_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Workflow not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF p_revision IS NOT NULL AND p_revision <> v_revision THEN
+    RAISE EXCEPTION 'Workflow was changed elsewhere (revision % is now %)', p_revision, v_revision
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  DELETE FROM edges WHERE workflow_id = p_workflow_id AND id = ANY (p_delete_edge_ids);
+  DELETE FROM edges WHERE workflow_id = p_workflow_id
+    AND (source_node_id = ANY (p_delete_node_ids) OR target_node_id = ANY (p_delete_node_ids));
+  DELETE FROM nodes WHERE workflow_id = p_workflow_id AND id = ANY (p_delete_node_ids);
+
+  INSERT INTO nodes (id, workflow_id, node_type, label, config, position_x, position_y, pinned_output, updated_at)
+  SELECT id, p_workflow_id, node_type, label, config, position_x, position_y, pinned_output, NOW()
+  FROM jsonb_populate_recordset(NULL::nodes, p_upsert_nodes)
+  ON CONFLICT (id) DO UPDATE SET
+    node_type = EXCLUDED.node_type,
+    label = EXCLUDED.label,
+    config = EXCLUDED.config,
+    position_x = EXCLUDED.position_x,
+    position_y = EXCLUDED.position_y,
+    pinned_output = EXCLUDED.pinned_output,
+    updated_at = EXCLUDED.updated_at
+  WHERE nodes.workflow_id = p_workflow_id;
+
+  INSERT INTO edges (id, workflow_id, source_node_id, target_node_id, source_handle)
+  SELECT id, p_workflow_id, source_node_id, target_node_id, source_handle
+  FROM jsonb_populate_recordset(NULL::edges, p_upsert_edges)
+  ON CONFLICT (id) DO UPDATE SET
+    source_node_id = EXCLUDED.source_node_id,
+    target_node_id = EXCLUDED.target_node_id,
+    source_handle = EXCLUDED.source_handle
+  WHERE edges.workflow_id = p_workflow_id;
+
+  -- The triggers above bumped it once per row; one save is one revision
+  UPDATE workflows SET revision = v_revision + 1, updated_at = NOW() WHERE id = p_workflow_id;
+
+  RETURN v_revision + 1;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,20 @@
+-- migrations/011_workflow_versions.sql
+-- Immutable snapshots of a workflow, one per save
+
+CREATE TABLE IF NOT EXISTS workflow_versions (
+  id UUID PRIMARY KEY,
+  workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  workflow JSONB NOT NULL,
+  nodes JSONB NOT NULL DEFAULT '[]',
+  edges JSONB NOT NULL DEFAULT '[]',
+  author TEXT,
+  message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (workflow_id, version_number)
+);
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES workflow_versions(id) ON DELETE SET NULL;
+
+-- The version of the workflow an execution ran
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS version_id UUID REFERENCES workflow_versions(id) ON DELETE SET NULL;
@@ -0,0 +1,70 @@
+-- migrations/012_auth.sql
+-- Users, API keys and ownership of workflows
+--
+-- users is only used by the local auth provider (AUTH_PROVIDER=local). With
+-- AUTH_PROVIDER=supabase the ids in owner_id / user_id are Supabase Auth user ids.
+--
+-- Rows created before this migration have no owner and are hidden from
+-- everyone. Hand them to a user with:
+--   UPDATE workflows SET owner_id = '<user id>' WHERE owner_id IS NULL;
+--   (and the same for nodes, edges, executions and credentials)
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL,            -- "scrypt$<salt>$<hash>", base64
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Personal API keys for scripts. Only a hash of the key is stored; the key
+-- itself is shown once, when it is created.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,                   -- first characters of the key, to tell keys apart
+  key_hash TEXT NOT NULL UNIQUE,          -- SHA-256 of the key, hex
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_user_id_idx ON api_keys (user_id);
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS owner_id UUID;
+ALTER TABLE nodes ADD COLUMN IF NOT EXISTS owner_id UUID;
+ALTER TABLE edges ADD COLUMN IF NOT EXISTS owner_id UUID;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS owner_id UUID;
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS owner_id UUID;
+
+CREATE INDEX IF NOT EXISTS workflows_owner_id_idx ON workflows (owner_id);
+CREATE INDEX IF NOT EXISTS nodes_owner_id_idx ON nodes (owner_id);
+CREATE INDEX IF NOT EXISTS edges_owner_id_idx ON edges (owner_id);
+CREATE INDEX IF NOT EXISTS executions_owner_id_idx ON executions (owner_id);
+CREATE INDEX IF NOT EXISTS credentials_owner_id_idx ON credentials (owner_id);
+
+-- Nodes, edges and executions belong to the owner of their workflow. Filling
+-- it in here covers every way they get written: the API, save_workflow_graph,
+-- the scheduler and webhooks.
+CREATE OR REPLACE FUNCTION set_owner_from_workflow() RETURNS TRIGGER AS $$
+BEGIN
+  SELECT owner_id INTO NEW.owner_id FROM workflows WHERE id = NEW.workflow_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS nodes_set_owner ON nodes;
+CREATE TRIGGER nodes_set_owner
+  BEFORE INSERT ON nodes
+  FOR EACH ROW EXECUTE FUNCTION set_owner_from_workflow();
+
+DROP TRIGGER IF EXISTS edges_set_owner ON edges;
+CREATE TRIGGER edges_set_owner
+  BEFORE INSERT ON edges
+  FOR EACH ROW EXECUTE FUNCTION set_owner_from_workflow();
+
+DROP TRIGGER IF EXISTS executions_set_owner ON executions;
+CREATE TRIGGER executions_set_owner
+  BEFORE INSERT ON executions
+  FOR EACH ROW EXECUTE FUNCTION set_owner_from_workflow();
@@ -0,0 +1,67 @@
+-- migrations/013_workflow_version_numbering.sql
+-- Numbers and stores a workflow version in one call (services/workflowVersions.js)
+--
+-- The API used to read the highest version_number and insert the next one,
+-- so two saves at the same time could pick the same number. This function
+-- locks the workflow row first, like save_workflow_graph, and takes the
+-- snapshot under that lock: numbers follow the order of the edits.
+--
+-- What a version keeps of each row: enabled and pinned outputs are left out,
+-- since switching a workflow on or pinning sample data isn't an edit of the graph.
+
+CREATE OR REPLACE FUNCTION record_workflow_version(
+  p_workflow_id UUID,
+  p_version_id UUID,
+  p_author TEXT,
+  p_message TEXT
+) RETURNS workflow_versions AS $$
+DECLARE
+  v_workflow workflows;
+  v_version workflow_versions;
+BEGIN
+  SELECT * INTO v_workflow FROM workflows WHERE id = p_workflow_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Workflow not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  INSERT INTO workflow_versions (id, workflow_id, version_number, workflow, nodes, edges, author, message)
+  VALUES (
+    p_version_id,
+    p_workflow_id,
+    COALESCE((SELECT MAX(version_number) FROM workflow_versions WHERE workflow_id = p_workflow_id), 0) + 1,
+    jsonb_build_object(
+      'name', v_workflow.name,
+      'description', v_workflow.description,
+      'max_concurrency', v_workflow.max_concurrency
+    ),
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', n.id,
+        'node_type', n.node_type,
+        'label', n.label,
+        'config', n.config,
+        'position_x', n.position_x,
+        'position_y', n.position_y
+      ) ORDER BY n.created_at, n.id)
+      FROM nodes n WHERE n.workflow_id = p_workflow_id
+    ), '[]'),
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', e.id,
+        'source_node_id', e.source_node_id,
+        'target_node_id', e.target_node_id,
+        'source_handle', e.source_handle
+      ) ORDER BY e.created_at, e.id)
+      FROM edges e WHERE e.workflow_id = p_workflow_id
+    ), '[]'),
+    p_author,
+    p_message
+  )
+  RETURNING * INTO v_version;
+
+  UPDATE workflows SET current_version_id = v_version.id WHERE id = p_workflow_id;
+
+  RETURN v_version;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,133 @@
+// src/controllers/authController.js
+// Sign up, sign in and personal API keys
+import supabase from '../utils/supabaseClient.js';
+import { checkCredentials, getAuthProvider } from '../services/auth.js';
+import { API_KEY_COLUMNS, createApiKey as issueApiKey } from '../services/apiKeys.js';
+
+// POST /api/auth/register
+// Body: { email, password, name? }. AUTH_ALLOW_REGISTRATION=false turns it off.
+export async function register(req, res) {
+  try {
+    if (process.env.AUTH_ALLOW_REGISTRATION === 'false') {
+      return res.status(403).json({ error: 'Registration is disabled' });
+    }
+
+    const { email, password, name } = req.body || {};
+    checkCredentials({ email, password });
+
+    const { user, token } = await getAuthProvider().register({ email, password, name });
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      user,
+      token
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error registering user:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/auth/login
+// Body: { email, password }. The token goes in "Authorization: Bearer <token>".
+export async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Missing required fields: email, password' });
+    }
+
+    const session = await getAuthProvider().login({ email, password });
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json(session);
+  } catch (err) {
+    console.error('Error logging in:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/auth/me
+export async function getCurrentUser(req, res) {
+  res.json({ user: req.user });
+}
+
+// ========== API KEYS ==========
+
+// GET /api/auth/api-keys
+export async function getApiKeys(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      apiKeys: data,
+      count: data.length
+    });
+  } catch (err) {
+    console.error('Error fetching API keys:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/auth/api-keys
+// Body: { name }. The response is the only time the key is shown.
+export async function createApiKey(req, res) {
+  try {
+    const { name } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ error: 'API key name is required' });
+    }
+
+    const apiKey = await issueApiKey(req.user.id, name);
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again',
+      apiKey
+    });
+  } catch (err) {
+    console.error('Error creating API key:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// DELETE /api/auth/api-keys/:id
+export async function deleteApiKey(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting API key:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
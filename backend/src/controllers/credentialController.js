@@ -0,0 +1,169 @@
+// src/controllers/credentialController.js
+// Credentials are write-only: secrets go in through `data` and never come back
+// out. Responses only show the names of the secret fields.
+import supabase from '../utils/supabaseClient.js';
+import { v4 as uuidv4 } from 'uuid';
+import { encryptJson } from '../utils/encryption.js';
+import { toPublicCredential } from '../services/credentials.js';
+
+const PUBLIC_COLUMNS = 'id, name, type, fields, created_at, updated_at';
+
+function validateData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+    return 'data must be an object with at least one secret field, e.g. { "token": "..." }';
+  }
+  return null;
+}
+
+export async function createCredential(req, res) {
+  try {
+    const { name, type, data } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Credential name is required' });
+    }
+
+    const dataError = validateData(data);
+    if (dataError) {
+      return res.status(400).json({ error: dataError });
+    }
+
+    const { data: created, error } = await supabase
+      .from('credentials')
+      .insert([{
+        id: uuidv4(),
+        name,
+        type: type || 'generic',
+        data: encryptJson(data),
+        fields: Object.keys(data),
+        owner_id: req.user.id
+      }])
+      .select(PUBLIC_COLUMNS);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.status(201).json({
+      message: 'Credential created successfully',
+      credential: toPublicCredential(created[0])
+    });
+  } catch (err) {
+    console.error('Error creating credential:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function getAllCredentials(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('credentials')
+      .select(PUBLIC_COLUMNS)
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      credentials: data.map(toPublicCredential),
+      count: data.length
+    });
+  } catch (err) {
+    console.error('Error fetching credentials:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function getCredentialById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('credentials')
+      .select(PUBLIC_COLUMNS)
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    res.json({ credential: toPublicCredential(data) });
+  } catch (err) {
+    console.error('Error fetching credential:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// `data` replaces all secret fields; leave it out to only rename
+export async function updateCredential(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, type, data } = req.body;
+
+    const updates = { updated_at: new Date() };
+    if (name !== undefined) updates.name = name;
+    if (type !== undefined) updates.type = type;
+
+    if (data !== undefined) {
+      const dataError = validateData(data);
+      if (dataError) {
+        return res.status(400).json({ error: dataError });
+      }
+      updates.data = encryptJson(data);
+      updates.fields = Object.keys(data);
+    }
+
+    const { data: updated, error } = await supabase
+      .from('credentials')
+      .update(updates)
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .select(PUBLIC_COLUMNS);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (updated.length === 0) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    res.json({
+      message: 'Credential updated successfully',
+      credential: toPublicCredential(updated[0])
+    });
+  } catch (err) {
+    console.error('Error updating credential:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function deleteCredential(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('credentials')
+      .delete()
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    res.json({ message: 'Credential deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting credential:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
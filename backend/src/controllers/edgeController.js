@@ -1,10 +1,13 @@
 // src/controllers/edgeController.js
 import supabase from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getNodeType } from '../nodes/index.js';
+import { wouldCreateCycle } from '../services/workflowValidation.js';
+import { recordVersion, versionInfo } from '../services/workflowVersions.js';
 
 export async function createEdge(req, res) {
   try {
-    const { workflow_id, source_node_id, target_node_id } = req.body;
+    const { workflow_id, source_node_id, target_node_id, source_handle } = req.body;
 
     if (!workflow_id || !source_node_id || !target_node_id) {
       return res.status(400).json({
@@ -22,6 +25,7 @@ export async function createEdge(req, res) {
       .from('workflows')
       .select('id')
       .eq('id', workflow_id)
+      .eq('owner_id', req.user.id)
       .single();
 
     if (workflowError || !workflow) {
@@ -30,14 +34,14 @@ export async function createEdge(req, res) {
 
     const { data: sourceNode } = await supabase
       .from('nodes')
-      .select('id')
+      .select('id, node_type')
       .eq('id', source_node_id)
       .eq('workflow_id', workflow_id)
       .single();
 
     const { data: targetNode } = await supabase
       .from('nodes')
-      .select('id')
+      .select('id, node_type')
       .eq('id', target_node_id)
       .eq('workflow_id', workflow_id)
       .single();
@@ -48,6 +52,21 @@ export async function createEdge(req, res) {
       });
     }
 
+    if (targetNode.node_type === 'trigger') {
+      return res.status(400).json({
+        error: 'Trigger nodes cannot have incoming connections'
+      });
+    }
+
+    // Router nodes (like conditions) have no "main" output, so their edges
+    // must say which handle they follow
+    const sourceType = getNodeType(sourceNode.node_type);
+    if (sourceType && !sourceType.outputs.includes('main') && !source_handle) {
+      return res.status(400).json({
+        error: `source_handle is required when connecting from a ${sourceNode.node_type} node`
+      });
+    }
+
     const { data: existingEdge } = await supabase
       .from('edges')
       .select('id')
@@ -61,13 +80,34 @@ export async function createEdge(req, res) {
       });
     }
 
+    const { data: nodes, error: nodesError } = await supabase
+      .from('nodes')
+      .select('id')
+      .eq('workflow_id', workflow_id);
+
+    const { data: edges, error: edgesError } = await supabase
+      .from('edges')
+      .select('source_node_id, target_node_id')
+      .eq('workflow_id', workflow_id);
+
+    if (nodesError || edgesError) {
+      return res.status(500).json({ error: 'Error fetching workflow data' });
+    }
+
+    if (wouldCreateCycle(nodes, edges, source_node_id, target_node_id)) {
+      return res.status(400).json({
+        error: 'Connection would create a cycle'
+      });
+    }
+
     const { data, error } = await supabase
       .from('edges')
       .insert([{
         id: uuidv4(),
         workflow_id,
         source_node_id,
-        target_node_id
+        target_node_id,
+        source_handle: source_handle || null
       }])
       .select();
 
@@ -75,6 +115,8 @@ export async function createEdge(req, res) {
       return res.status(500).json({ error: error.message });
     }
 
+    await recordVersion(workflow_id, versionInfo(req, 'Added connection'));
+
     res.status(201).json({
       message: 'Connection created successfully',
       edge: data[0]
@@ -99,6 +141,7 @@ export async function getEdgesByWorkflow(req, res) {
       .from('edges')
       .select('*')
       .eq('workflow_id', workflow_id)
+      .eq('owner_id', req.user.id)
       .order('created_at', { ascending: true });
 
     if (error) {
@@ -123,6 +166,7 @@ export async function getEdgeById(req, res) {
       .from('edges')
       .select('*')
       .eq('id', id)
+      .eq('owner_id', req.user.id)
       .single();
 
     if (error || !data) {
@@ -140,6 +184,17 @@ export async function deleteEdge(req, res) {
   try {
     const { id } = req.params;
 
+    const { data: edge } = await supabase
+      .from('edges')
+      .select('workflow_id')
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (!edge) {
+      return res.status(404).json({ error: 'Edge not found' });
+    }
+
     const { error } = await supabase
       .from('edges')
       .delete()
@@ -149,6 +204,8 @@ export async function deleteEdge(req, res) {
       return res.status(500).json({ error: error.message });
     }
 
+    await recordVersion(edge.workflow_id, versionInfo(req, 'Removed connection'));
+
     res.json({ message: 'Connection deleted successfully' });
   } catch (err) {
     console.error('Error deleting edge:', err);
@@ -169,9 +226,10 @@ export async function getConnectedNodes(req, res) {
 
     const { data: outgoingEdges, error: outgoingError } = await supabase
       .from('edges')
-      .select('target_node_id')
+      .select('target_node_id, source_handle')
       .eq('source_node_id', nodeId)
-      .eq('workflow_id', workflow_id);
+      .eq('workflow_id', workflow_id)
+      .eq('owner_id', req.user.id);
 
     if (outgoingError) {
       return res.status(500).json({ error: outgoingError.message });
@@ -189,15 +247,22 @@ export async function getConnectedNodes(req, res) {
     const { data: nodes, error: nodesError } = await supabase
       .from('nodes')
       .select('*')
-      .in('id', targetNodeIds);
+      .in('id', targetNodeIds)
+      .eq('owner_id', req.user.id);
 
     if (nodesError) {
       return res.status(500).json({ error: nodesError.message });
     }
 
+    // Attach the handle of the edge each node is connected through
+    const handles = {};
+    outgoingEdges.forEach(edge => {
+      handles[edge.target_node_id] = edge.source_handle;
+    });
+
     res.json({
       sourceNodeId: nodeId,
-      connectedNodes: nodes,
+      connectedNodes: nodes.map(node => ({ ...node, source_handle: handles[node.id] ?? null })),
       count: nodes.length
     });
   } catch (err) {
@@ -1,37 +1,41 @@
 // src/controllers/executionController.js
 import supabase from '../utils/supabaseClient.js';
-import { executeWorkflow } from '../services/executionEngine.js';
+import { enqueueExecution, getQueueSize } from '../services/executionQueue.js';
+import { requestCancellation } from '../services/executionEngine.js';
+import { markOverlaps, summarizeSteps } from '../services/executionSteps.js';
+import { validateWorkflow } from '../services/workflowValidation.js';
 
 export async function runWorkflow(req, res) {
   try {
     const { workflowId } = req.params;
 
-    const { data: workflow, error: workflowError } = await supabase
-      .from('workflows')
-      .select('id')
-      .eq('id', workflowId)
-      .single();
-
-    if (workflowError || !workflow) {
+    const validation = await validateWorkflow(workflowId, req.user.id);
+    if (!validation) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
-    const result = await executeWorkflow(workflowId);
-
-    if (result.success) {
-      return res.status(200).json({
-        message: 'Workflow executed successfully',
-        executionId: result.executionId,
-        executionData: result.executionData
-      });
-    } else {
-      return res.status(500).json({
-        message: 'Workflow execution failed',
-        executionId: result.executionId,
-        error: result.error
+    // Warnings don't stop a run, errors do
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Workflow is invalid',
+        errors: validation.errors,
+        warnings: validation.warnings
       });
     }
 
+    // Optional payload, available to node configs as {{ $trigger.payload }}
+    const { payload } = req.body || {};
+
+    // The run happens on a worker - poll the status route for the result
+    const executionId = await enqueueExecution(workflowId, { payload });
+
+    res.status(202).json({
+      message: 'Workflow execution queued',
+      executionId,
+      status: 'running',
+      statusUrl: `/api/executions/${executionId}/status`
+    });
+
   } catch (err) {
     console.error('Error running workflow:', err);
     res.status(500).json({ error: 'Internal server error' });
@@ -52,6 +56,7 @@ export async function getExecutionHistory(req, res) {
       .from('executions')
       .select('*')
       .eq('workflow_id', workflow_id)
+      .eq('owner_id', req.user.id)
       .order('started_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -80,13 +85,39 @@ export async function getExecutionDetails(req, res) {
       .from('executions')
       .select('*')
       .eq('id', executionId)
+      .eq('owner_id', req.user.id)
       .single();
 
     if (error || !data) {
       return res.status(404).json({ error: 'Execution not found' });
     }
 
-    res.json(data);
+    const { data: steps, error: stepsError } = await supabase
+      .from('execution_steps')
+      .select('node_id, node_label, status, error_message')
+      .eq('execution_id', executionId);
+
+    if (stepsError) {
+      return res.status(500).json({ error: stepsError.message });
+    }
+
+    // Runs started by this one's execute_workflow nodes
+    const { data: children, error: childrenError } = await supabase
+      .from('executions')
+      .select('id, workflow_id, status, started_at, ended_at')
+      .eq('parent_execution_id', executionId)
+      .eq('owner_id', req.user.id)
+      .order('started_at', { ascending: true });
+
+    if (childrenError) {
+      return res.status(500).json({ error: childrenError.message });
+    }
+
+    res.json({
+      ...data,
+      stepSummary: summarizeSteps(steps),
+      childExecutions: children
+    });
 
   } catch (err) {
     console.error('Error fetching execution details:', err);
@@ -94,6 +125,222 @@ export async function getExecutionDetails(req, res) {
   }
 }
 
+export async function getExecutionSteps(req, res) {
+  try {
+    const { executionId } = req.params;
+
+    const { data: execution, error: executionError } = await supabase
+      .from('executions')
+      .select('id')
+      .eq('id', executionId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (executionError || !execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('execution_steps')
+      .select('*')
+      .eq('execution_id', executionId)
+      .order('step_index', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      executionId,
+      steps: markOverlaps(data),
+      count: data.length
+    });
+
+  } catch (err) {
+    console.error('Error fetching execution steps:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function getExecutionStatus(req, res) {
+  try {
+    const { executionId } = req.params;
+
+    const { data, error } = await supabase
+      .from('executions')
+      .select('id, workflow_id, status, error_message, started_at, ended_at')
+      .eq('id', executionId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    res.json({
+      executionId: data.id,
+      workflowId: data.workflow_id,
+      status: data.status,
+      error: data.error_message,
+      startedAt: data.started_at,
+      endedAt: data.ended_at,
+      finished: data.status !== 'running',
+      // Runs on this server still waiting for a free worker
+      ...(data.status === 'running' && { queueSize: getQueueSize() })
+    });
+
+  } catch (err) {
+    console.error('Error fetching execution status:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function cancelExecution(req, res) {
+  try {
+    const { executionId } = req.params;
+
+    const { data: execution, error } = await supabase
+      .from('executions')
+      .select('id, status')
+      .eq('id', executionId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    if (execution.status !== 'running') {
+      return res.status(409).json({ error: `Execution is already ${execution.status}` });
+    }
+
+    // 'cancelling' while the running node stops, 'cancelled' if it never started
+    const status = await requestCancellation(executionId);
+    if (!status) {
+      return res.status(409).json({ error: 'Execution has already finished' });
+    }
+
+    res.status(202).json({
+      message: 'Execution cancellation requested',
+      executionId,
+      status,
+      statusUrl: `/api/executions/${executionId}/status`
+    });
+
+  } catch (err) {
+    console.error('Error cancelling execution:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const RETRY_MODES = ['from-failure', 'full'];
+const RETRY_DEFINITIONS = ['current', 'original'];
+
+// Body: { mode: 'from-failure' | 'full', definition: 'current' | 'original' }
+//   from-failure - reuses the outputs of nodes that completed and runs the rest
+//   full         - runs every node again
+//   current      - the workflow as it is saved now
+//   original     - the nodes and edges the execution ran with
+export async function retryExecution(req, res) {
+  try {
+    const { executionId } = req.params;
+    const { mode = 'from-failure', definition = 'current' } = req.body || {};
+
+    if (!RETRY_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${RETRY_MODES.join(', ')}` });
+    }
+    if (!RETRY_DEFINITIONS.includes(definition)) {
+      return res.status(400).json({ error: `definition must be one of: ${RETRY_DEFINITIONS.join(', ')}` });
+    }
+
+    const { data: execution, error } = await supabase
+      .from('executions')
+      .select('id, workflow_id, status, execution_data, snapshot, version_id')
+      .eq('id', executionId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    if (execution.status === 'running') {
+      return res.status(409).json({ error: 'Execution is still running' });
+    }
+    if (mode === 'from-failure' && !['failed', 'cancelled'].includes(execution.status)) {
+      return res.status(409).json({ error: `Only failed or cancelled executions can be resumed (this one is ${execution.status})` });
+    }
+
+    const { snapshot } = execution;
+    if (definition === 'original' && !snapshot) {
+      return res.status(409).json({ error: 'The original definition of this execution was not stored' });
+    }
+
+    const options = {
+      payload: snapshot ? snapshot.payload : findTriggerPayload(execution),
+      retryOf: executionId
+    };
+
+    if (definition === 'original') {
+      options.definition = { nodes: snapshot.nodes, edges: snapshot.edges };
+      options.versionId = execution.version_id;
+    }
+
+    if (mode === 'from-failure') {
+      options.previousOutputs = definition === 'original'
+        ? execution.execution_data || {}
+        : await unchangedOutputs(execution);
+    }
+
+    const retryId = await enqueueExecution(execution.workflow_id, options);
+
+    res.status(202).json({
+      message: 'Execution retry queued',
+      executionId: retryId,
+      retryOf: executionId,
+      mode,
+      definition,
+      status: 'running',
+      statusUrl: `/api/executions/${retryId}/status`
+    });
+
+  } catch (err) {
+    console.error('Error retrying execution:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Executions from before snapshots were stored: take the payload from the trigger output
+function findTriggerPayload(execution) {
+  const outputs = Object.values(execution.execution_data || {});
+  const trigger = outputs.find(output => output && output.type === 'trigger');
+  return trigger ? trigger.payload : undefined;
+}
+
+// Outputs of the nodes that still exist and whose type and config haven't
+// changed since the execution ran - an edited node has to run again
+async function unchangedOutputs(execution) {
+  const outputs = execution.execution_data || {};
+  if (!execution.snapshot) return outputs;
+
+  const { data: nodes, error } = await supabase
+    .from('nodes')
+    .select('id, node_type, config')
+    .eq('workflow_id', execution.workflow_id);
+
+  if (error) throw error;
+
+  const before = new Map(execution.snapshot.nodes.map(node => [node.id, node]));
+  const isUnchanged = node => {
+    const old = before.get(node.id);
+    return old && old.node_type === node.node_type && JSON.stringify(old.config) === JSON.stringify(node.config);
+  };
+
+  return Object.fromEntries(
+    nodes.filter(node => node.id in outputs && isUnchanged(node)).map(node => [node.id, outputs[node.id]])
+  );
+}
+
 export async function getExecutionStats(req, res) {
   try {
     const { workflowId } = req.params;
@@ -101,7 +348,8 @@ export async function getExecutionStats(req, res) {
     const { data: executions, error } = await supabase
       .from('executions')
       .select('status')
-      .eq('workflow_id', workflowId);
+      .eq('workflow_id', workflowId)
+      .eq('owner_id', req.user.id);
 
     if (error) {
       return res.status(500).json({ error: error.message });
@@ -112,6 +360,7 @@ export async function getExecutionStats(req, res) {
       completed: executions.filter(e => e.status === 'completed').length,
       failed: executions.filter(e => e.status === 'failed').length,
       running: executions.filter(e => e.status === 'running').length,
+      cancelled: executions.filter(e => e.status === 'cancelled').length,
       successRate: executions.length > 0 
         ? ((executions.filter(e => e.status === 'completed').length / executions.length) * 100).toFixed(2)
         : 0
@@ -1,6 +1,10 @@
 // src/controllers/nodeController.js
 import supabase from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import { refreshSchedule } from '../services/scheduler.js';
+import { testNode as runNodeTest } from '../services/executionEngine.js';
+import { recordVersion, versionInfo } from '../services/workflowVersions.js';
+import { getNodeType, getNodeTypeNames, validateNodeConfig } from '../nodes/index.js';
 
 export async function createNode(req, res) {
   try {
@@ -12,10 +16,17 @@ export async function createNode(req, res) {
       });
     }
 
-    const validTypes = ['trigger', 'data', 'transform', 'action'];
-    if (!validTypes.includes(node_type)) {
+    if (!getNodeType(node_type)) {
       return res.status(400).json({
-        error: `Invalid node_type. Must be one of: ${validTypes.join(', ')}`
+        error: `Invalid node_type. Must be one of: ${getNodeTypeNames().join(', ')}`
+      });
+    }
+
+    const configErrors = validateNodeConfig(node_type, config);
+    if (configErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid node config',
+        details: configErrors
       });
     }
 
@@ -23,12 +34,29 @@ export async function createNode(req, res) {
       .from('workflows')
       .select('id')
       .eq('id', workflow_id)
+      .eq('owner_id', req.user.id)
       .single();
 
     if (workflowError || !workflow) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
+    if (node_type === 'trigger') {
+      const { data: triggers, error: triggersError } = await supabase
+        .from('nodes')
+        .select('id')
+        .eq('workflow_id', workflow_id)
+        .eq('node_type', 'trigger');
+
+      if (triggersError) {
+        return res.status(500).json({ error: triggersError.message });
+      }
+
+      if (triggers.length > 0) {
+        return res.status(400).json({ error: 'Workflow already has a trigger node' });
+      }
+    }
+
     const { data, error } = await supabase
       .from('nodes')
       .insert([{
@@ -46,6 +74,12 @@ export async function createNode(req, res) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (node_type === 'trigger') {
+      await refreshSchedule(workflow_id);
+    }
+
+    await recordVersion(workflow_id, versionInfo(req, `Added node "${label}"`));
+
     res.status(201).json({
       message: 'Node created successfully',
       node: data[0]
@@ -68,6 +102,7 @@ export async function getNodesByWorkflow(req, res) {
       .from('nodes')
       .select('*')
       .eq('workflow_id', workflow_id)
+      .eq('owner_id', req.user.id)
       .order('created_at', { ascending: true });
 
     if (error) {
@@ -92,6 +127,7 @@ export async function getNodeById(req, res) {
       .from('nodes')
       .select('*')
       .eq('id', id)
+      .eq('owner_id', req.user.id)
       .single();
 
     if (error || !data) {
@@ -108,23 +144,48 @@ export async function getNodeById(req, res) {
 export async function updateNode(req, res) {
   try {
     const { id } = req.params;
-    const { label, config, position_x, position_y } = req.body;
+    const { label, config, position_x, position_y, pinned_output } = req.body;
 
     const updates = {};
     if (label !== undefined) updates.label = label;
     if (config !== undefined) updates.config = config;
     if (position_x !== undefined) updates.position_x = position_x;
     if (position_y !== undefined) updates.position_y = position_y;
+    // Sample output for single node tests; null unpins it
+    if (pinned_output !== undefined) updates.pinned_output = pinned_output;
     updates.updated_at = new Date();
 
     if (Object.keys(updates).length === 1) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
+    // Config is checked against the schema of the node's type
+    if (config !== undefined) {
+      const { data: existing, error: existingError } = await supabase
+        .from('nodes')
+        .select('node_type')
+        .eq('id', id)
+        .eq('owner_id', req.user.id)
+        .single();
+
+      if (existingError || !existing) {
+        return res.status(404).json({ error: 'Node not found' });
+      }
+
+      const configErrors = validateNodeConfig(existing.node_type, config);
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid node config',
+          details: configErrors
+        });
+      }
+    }
+
     const { data, error } = await supabase
       .from('nodes')
       .update(updates)
       .eq('id', id)
+      .eq('owner_id', req.user.id)
       .select();
 
     if (error) {
@@ -135,6 +196,16 @@ export async function updateNode(req, res) {
       return res.status(404).json({ error: 'Node not found' });
     }
 
+    // Pick up cron / timezone edits on the trigger
+    if (data[0].node_type === 'trigger') {
+      await refreshSchedule(data[0].workflow_id);
+    }
+
+    // Pinning sample output alone isn't an edit of the workflow
+    if ([label, config, position_x, position_y].some(value => value !== undefined)) {
+      await recordVersion(data[0].workflow_id, versionInfo(req, `Updated node "${data[0].label}"`));
+    }
+
     res.json({
       message: 'Node updated successfully',
       node: data[0]
@@ -145,10 +216,95 @@ export async function updateNode(req, res) {
   }
 }
 
+// Runs just this node. Body (all optional):
+//   inputs:    upstream outputs by node id or label - defaults to the latest execution's
+//   payload:   $trigger.payload
+//   usePinned: use pinned outputs (default true)
+//   pin:       pin the output of a successful test on the node
+// Nothing is written to executions; a failing node is reported with success: false.
+export async function testNode(req, res) {
+  try {
+    const { id } = req.params;
+    const { inputs, payload, usePinned, pin } = req.body || {};
+
+    if (inputs !== undefined && (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs))) {
+      return res.status(400).json({ error: 'inputs must be an object of outputs keyed by node id or label' });
+    }
+
+    const { data: node, error } = await supabase
+      .from('nodes')
+      .select('*')
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    // Latest run that got far enough to store outputs
+    const { data: executions, error: executionsError } = await supabase
+      .from('executions')
+      .select('id, execution_data')
+      .eq('workflow_id', node.workflow_id)
+      .not('execution_data', 'is', null)
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (executionsError) {
+      return res.status(500).json({ error: executionsError.message });
+    }
+
+    const latest = executions[0];
+    let result;
+    try {
+      result = await runNodeTest(node, {
+        inputs,
+        payload,
+        usePinned,
+        previousOutputs: latest ? latest.execution_data : undefined
+      });
+    } catch (testError) {
+      return res.status(400).json({ error: testError.message });
+    }
+
+    if (pin && result.success && !result.usedPinnedOutput) {
+      const { error: pinError } = await supabase
+        .from('nodes')
+        .update({ pinned_output: result.output, updated_at: new Date() })
+        .eq('id', id);
+
+      if (pinError) {
+        return res.status(500).json({ error: pinError.message });
+      }
+    }
+
+    res.json({
+      ...result,
+      pinned: Boolean(pin && result.success) || result.usedPinnedOutput,
+      sourceExecutionId: latest ? latest.id : null
+    });
+  } catch (err) {
+    console.error('Error testing node:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 export async function deleteNode(req, res) {
   try {
     const { id } = req.params;
 
+    const { data: node } = await supabase
+      .from('nodes')
+      .select('workflow_id, node_type, label')
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
     await supabase
       .from('edges')
       .delete()
@@ -163,6 +319,12 @@ export async function deleteNode(req, res) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (node.node_type === 'trigger') {
+      await refreshSchedule(node.workflow_id);
+    }
+
+    await recordVersion(node.workflow_id, versionInfo(req, `Removed node "${node.label}"`));
+
     res.json({ message: 'Node deleted successfully' });
   } catch (err) {
     console.error('Error deleting node:', err);
@@ -0,0 +1,16 @@
+// src/controllers/nodeTypeController.js
+import { listNodeTypes } from '../nodes/index.js';
+
+export async function getNodeTypes(req, res) {
+  try {
+    const nodeTypes = listNodeTypes();
+
+    res.json({
+      nodeTypes,
+      count: nodeTypes.length
+    });
+  } catch (err) {
+    console.error('Error fetching node types:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
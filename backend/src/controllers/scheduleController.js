@@ -0,0 +1,65 @@
+// src/controllers/scheduleController.js
+import supabase from '../utils/supabaseClient.js';
+import { getSchedule, listSchedules } from '../services/scheduler.js';
+
+export async function getAllSchedules(req, res) {
+  try {
+    // The scheduler holds every user's workflows; only show the caller's
+    const { data: workflows, error } = await supabase
+      .from('workflows')
+      .select('id')
+      .eq('owner_id', req.user.id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const owned = new Set(workflows.map(workflow => workflow.id));
+    const schedules = listSchedules().filter(schedule => owned.has(schedule.workflowId));
+
+    res.json({
+      schedules,
+      count: schedules.length
+    });
+  } catch (err) {
+    console.error('Error fetching schedules:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export async function getWorkflowSchedule(req, res) {
+  try {
+    const { workflowId } = req.params;
+
+    const { data: workflow, error: workflowError } = await supabase
+      .from('workflows')
+      .select('id, enabled')
+      .eq('id', workflowId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (workflowError || !workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const schedule = getSchedule(workflowId);
+
+    if (!schedule) {
+      return res.json({
+        workflowId,
+        scheduled: false,
+        message: workflow.enabled
+          ? 'Workflow has no scheduled trigger'
+          : 'Workflow is disabled'
+      });
+    }
+
+    res.json({
+      ...schedule,
+      scheduled: true
+    });
+  } catch (err) {
+    console.error('Error fetching schedule:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
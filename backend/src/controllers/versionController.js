@@ -0,0 +1,210 @@
+// src/controllers/versionController.js
+// Version history of a workflow: list, show, diff and restore
+import supabase from '../utils/supabaseClient.js';
+import { refreshSchedule } from '../services/scheduler.js';
+import { applyGraphSave, planGraphSave } from '../services/workflowGraph.js';
+import {
+  VERSION_LIST_COLUMNS,
+  diffVersions,
+  recordVersion,
+  versionInfo
+} from '../services/workflowVersions.js';
+
+// Versions are only reachable through a workflow the caller owns
+async function ownsWorkflow(workflowId, ownerId) {
+  const { data, error } = await supabase
+    .from('workflows')
+    .select('id')
+    .eq('id', workflowId)
+    .eq('owner_id', ownerId)
+    .single();
+
+  return !error && Boolean(data);
+}
+
+async function findVersion(workflowId, versionId) {
+  const { data, error } = await supabase
+    .from('workflow_versions')
+    .select('*')
+    .eq('id', versionId)
+    .eq('workflow_id', workflowId)
+    .single();
+
+  return error ? null : data;
+}
+
+// GET /api/workflows/:id/versions
+export async function getVersions(req, res) {
+  try {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    if (!await ownsWorkflow(id, req.user.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('workflow_versions')
+      .select(VERSION_LIST_COLUMNS)
+      .eq('workflow_id', id)
+      .order('version_number', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      versions: data,
+      count: data.length
+    });
+  } catch (err) {
+    console.error('Error fetching versions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/workflows/:id/versions/:versionId
+export async function getVersionById(req, res) {
+  try {
+    if (!await ownsWorkflow(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const version = await findVersion(req.params.id, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error('Error fetching version:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/workflows/:id/versions/:versionId/diff?against=<versionId>
+// Changes from the "against" version (default: the one before) to this one
+export async function getVersionDiff(req, res) {
+  try {
+    const { id, versionId } = req.params;
+    const { against } = req.query;
+
+    if (!await ownsWorkflow(id, req.user.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const version = await findVersion(id, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    let base;
+    if (against) {
+      base = await findVersion(id, against);
+      if (!base) {
+        return res.status(404).json({ error: 'Version to compare against not found' });
+      }
+    } else {
+      const { data: previous, error } = await supabase
+        .from('workflow_versions')
+        .select('*')
+        .eq('workflow_id', id)
+        .lt('version_number', version.version_number)
+        .order('version_number', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      // The first version is compared against an empty workflow
+      base = previous[0] || { id: null, version_number: 0, workflow: {}, nodes: [], edges: [] };
+    }
+
+    res.json({
+      from: { id: base.id, version_number: base.version_number },
+      to: { id: version.id, version_number: version.version_number },
+      ...diffVersions(base, version)
+    });
+  } catch (err) {
+    console.error('Error diffing versions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/workflows/:id/versions/:versionId/restore
+// Makes an old version the current one. This is a save like any other, so
+// it adds a new version on top instead of dropping the ones after it.
+export async function restoreVersion(req, res) {
+  try {
+    const { id, versionId } = req.params;
+
+    if (!await ownsWorkflow(id, req.user.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const version = await findVersion(id, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { data: nodes, error: nodesError } = await supabase
+      .from('nodes')
+      .select('*')
+      .eq('workflow_id', id);
+
+    const { data: edges, error: edgesError } = await supabase
+      .from('edges')
+      .select('*')
+      .eq('workflow_id', id);
+
+    if (nodesError || edgesError) {
+      return res.status(500).json({ error: 'Error fetching workflow data' });
+    }
+
+    // Nodes deleted since get new ids, and references to them are renamed;
+    // pinned outputs of the others are kept
+    const plan = planGraphSave(nodes, edges, { nodes: version.nodes, edges: version.edges });
+    if (plan.errors) {
+      return res.status(400).json({ error: 'Version can no longer be restored', errors: plan.errors });
+    }
+
+    try {
+      await applyGraphSave(id, null, plan);
+    } catch (saveError) {
+      if (saveError.status === 404) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      return res.status(500).json({ error: saveError.message });
+    }
+
+    const { error: workflowError } = await supabase
+      .from('workflows')
+      .update({ ...version.workflow, updated_at: new Date() })
+      .eq('id', id);
+
+    if (workflowError) {
+      return res.status(500).json({ error: workflowError.message });
+    }
+
+    await refreshSchedule(id);
+
+    const restored = await recordVersion(id, versionInfo(req, `Restored version ${version.version_number}`));
+
+    res.json({
+      message: `Version ${version.version_number} restored`,
+      version: restored && {
+        id: restored.id,
+        version_number: restored.version_number,
+        author: restored.author,
+        message: restored.message
+      },
+      idMap: plan.idMap
+    });
+  } catch (err) {
+    console.error('Error restoring version:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,160 @@
+// src/controllers/webhookController.js
+// Inbound webhooks: external systems start workflows by calling
+//   /api/hooks/:workflowId/:path
+//
+// Trigger config:
+//   {
+//     "type": "webhook",
+//     "path": "new-order",
+//     "methods": ["POST"],                 // default ["POST"]
+//     "respond": "immediately" | "wait",   // default "immediately"
+//     "responseTimeoutMs": 30000,          // how long "wait" waits
+//     "secret": "shared-secret",           // optional HMAC-SHA256 verification
+//     "signatureHeader": "x-signature-256"
+//   }
+//
+// The request becomes $trigger.payload, minus the headers that carry the
+// caller's credentials (Authorization, Cookie, ...).
+
+import crypto from 'crypto';
+import supabase from '../utils/supabaseClient.js';
+import { enqueueExecution, enqueueAndWait } from '../services/executionQueue.js';
+import { withTimeout } from '../utils/retry.js';
+
+const DEFAULT_SIGNATURE_HEADER = 'x-signature-256';
+const DEFAULT_WAIT_TIMEOUT = 30000;
+const HIDDEN_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+
+export async function handleWebhook(req, res) {
+  try {
+    const { workflowId, path } = req.params;
+
+    const { data: workflow, error: workflowError } = await supabase
+      .from('workflows')
+      .select('id, enabled')
+      .eq('id', workflowId)
+      .single();
+
+    if (workflowError || !workflow) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { data: triggers, error: triggerError } = await supabase
+      .from('nodes')
+      .select('*')
+      .eq('workflow_id', workflowId)
+      .eq('node_type', 'trigger');
+
+    if (triggerError) {
+      return res.status(500).json({ error: triggerError.message });
+    }
+
+    // The engine starts from the first trigger, so that's the one that owns the URL
+    const trigger = triggers[0];
+    const config = (trigger && trigger.config) || {};
+
+    if (config.type !== 'webhook' || config.path !== path) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!workflow.enabled) {
+      return res.status(409).json({ error: 'Workflow is disabled' });
+    }
+
+    const methods = (config.methods || ['POST']).map(method => method.toUpperCase());
+    if (!methods.includes(req.method)) {
+      res.set('Allow', methods.join(', '));
+      return res.status(405).json({ error: `Method not allowed. Use: ${methods.join(', ')}` });
+    }
+
+    if (config.secret && !isValidSignature(req, config)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    // Becomes the trigger node's output: {{ $trigger.payload.body.orderId }}
+    const payload = {
+      method: req.method,
+      path,
+      headers: Object.fromEntries(
+        Object.entries(req.headers).filter(([name]) => !HIDDEN_HEADERS.includes(name))
+      ),
+      query: req.query,
+      body: req.body === undefined ? null : req.body,
+      receivedAt: new Date()
+    };
+
+    if (config.respond !== 'wait') {
+      const executionId = await enqueueExecution(workflowId, { payload });
+      return res.status(202).json({
+        message: 'Webhook received',
+        executionId
+      });
+    }
+
+    const { executionId, completion } = await enqueueAndWait(workflowId, { payload });
+
+    let result;
+    try {
+      result = await withTimeout(completion, config.responseTimeoutMs || DEFAULT_WAIT_TIMEOUT);
+    } catch (err) {
+      // Still running - the caller can poll for the result
+      return res.status(202).json({
+        message: 'Workflow is still running',
+        executionId
+      });
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        message: 'Workflow execution failed',
+        executionId,
+        error: result.error
+      });
+    }
+
+    const response = findWebhookResponse(result.executionData);
+
+    if (!response) {
+      return res.status(200).json({
+        message: 'Workflow executed successfully',
+        executionId
+      });
+    }
+
+    res.set(response.headers);
+    res.status(response.statusCode).json(response.body);
+  } catch (err) {
+    console.error('Error handling webhook:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ========== HELPERS ==========
+
+// Compares the HMAC-SHA256 of the raw body against the signature header.
+// Accepts both "sha256=<hex>" and a bare hex digest.
+function isValidSignature(req, config) {
+  const headerName = (config.signatureHeader || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+  const received = req.get(headerName);
+
+  if (!received) return false;
+
+  const expected = crypto
+    .createHmac('sha256', config.secret)
+    .update(req.rawBody || Buffer.alloc(0))
+    .digest('hex');
+
+  const signature = received.startsWith('sha256=') ? received.slice(7) : received;
+  const a = Buffer.from(signature, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The output of the last "respond to webhook" action that ran, if any
+function findWebhookResponse(executionData) {
+  const responses = Object.values(executionData || {})
+    .filter(output => output.type === 'action' && output.actionType === 'respond_webhook');
+
+  return responses.length > 0 ? responses[responses.length - 1].result : null;
+}
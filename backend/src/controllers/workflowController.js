@@ -4,19 +4,42 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import supabase from '../utils/supabaseClient.js'; // FIX 1: Added .js extension
+import { refreshSchedule, unschedule } from '../services/scheduler.js';
+import { validateWorkflow as checkWorkflow } from '../services/workflowValidation.js';
+import { applyGraphSave, planGraphSave } from '../services/workflowGraph.js';
+import { recordVersion, versionInfo } from '../services/workflowVersions.js';
+import {
+  duplicateWorkflow as copyWorkflow,
+  exportWorkflow as buildExport,
+  importWorkflow as createFromExport
+} from '../services/workflowTransfer.js';
+
+// How many nodes of one run may execute at the same time.
+// null (or leaving it out) uses the server default.
+const MAX_CONCURRENCY_LIMIT = 50;
+const MAX_CONCURRENCY_ERROR = `max_concurrency must be a whole number between 1 and ${MAX_CONCURRENCY_LIMIT}, or null`;
+
+function isValidMaxConcurrency(value) {
+  return value === undefined || value === null ||
+    (Number.isInteger(value) && value >= 1 && value <= MAX_CONCURRENCY_LIMIT);
+}
 
 // ========== CREATE WORKFLOW ==========
 // POST /api/workflows
 export async function createWorkflow(req, res) {
   try {
     // req.body contains data sent from the frontend
-    const { name, description } = req.body;
+    const { name, description, max_concurrency } = req.body;
 
     // Validate input
     if (!name) {
       return res.status(400).json({ error: 'Workflow name is required' });
     }
 
+    if (!isValidMaxConcurrency(max_concurrency)) {
+      return res.status(400).json({ error: MAX_CONCURRENCY_ERROR });
+    }
+
     // Insert new workflow into Supabase
     // FIX 2: Changed from() to supabase.from()
     const { data, error } = await supabase
@@ -25,7 +48,9 @@ export async function createWorkflow(req, res) {
         id: uuidv4(),           // Generate unique ID
         name,
         description: description || '',
-        enabled: true
+        enabled: true,
+        max_concurrency: max_concurrency ?? null,
+        owner_id: req.user.id
       }])
       .select();                // Return the created workflow
 
@@ -34,6 +59,8 @@ export async function createWorkflow(req, res) {
       return res.status(500).json({ error: error.message });
     }
 
+    await recordVersion(data[0].id, versionInfo(req, 'Created workflow'));
+
     // Success! Return the created workflow
     res.status(201).json({
       message: 'Workflow created successfully',
@@ -53,6 +80,7 @@ export async function getAllWorkflows(req, res) {
     const { data, error } = await supabase
       .from('workflows')
       .select('*')              // Select all columns
+      .eq('owner_id', req.user.id)
       .order('created_at', { ascending: false }); // Newest first
 
     if (error) {
@@ -80,6 +108,7 @@ export async function getWorkflowById(req, res) {
       .from('workflows')
       .select('*')
       .eq('id', id)
+      .eq('owner_id', req.user.id)
       .single();                // Return single object instead of array
 
     if (workflowError) {
@@ -114,18 +143,212 @@ export async function getWorkflowById(req, res) {
   }
 }
 
+// ========== VALIDATE WORKFLOW ==========
+// GET /api/workflows/:id/validate
+// Lists what's wrong with the graph: { valid, errors, warnings }
+export async function validateWorkflow(req, res) {
+  try {
+    const { id } = req.params;
+
+    const result = await checkWorkflow(id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error validating workflow:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ========== SAVE GRAPH ==========
+// PUT /api/workflows/:id/graph
+// Replaces the workflow's nodes and edges with the ones in the body, all or
+// nothing. body.revision is the revision the editor loaded; if the workflow
+// has changed since, the save is rejected with 409 (leave it out to overwrite).
+export async function saveWorkflowGraph(req, res) {
+  try {
+    const { id } = req.params;
+    const { revision } = req.body || {};
+
+    if (revision !== undefined && revision !== null && !Number.isInteger(revision)) {
+      return res.status(400).json({ error: 'revision must be a whole number' });
+    }
+
+    const { data: workflow, error: workflowError } = await supabase
+      .from('workflows')
+      .select('id, revision')
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (workflowError || !workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    // Fail early on a stale revision; the database function checks again under a lock
+    if (revision !== undefined && revision !== null && revision !== workflow.revision) {
+      return res.status(409).json({
+        error: 'Workflow was changed elsewhere. Reload it before saving',
+        revision: workflow.revision
+      });
+    }
+
+    const { data: nodes, error: nodesError } = await supabase
+      .from('nodes')
+      .select('*')
+      .eq('workflow_id', id);
+
+    const { data: edges, error: edgesError } = await supabase
+      .from('edges')
+      .select('*')
+      .eq('workflow_id', id);
+
+    if (nodesError || edgesError) {
+      return res.status(500).json({ error: 'Error fetching workflow data' });
+    }
+
+    const plan = planGraphSave(nodes, edges, req.body);
+    if (plan.errors) {
+      return res.status(400).json({ error: 'Invalid workflow graph', errors: plan.errors });
+    }
+
+    let newRevision;
+    try {
+      newRevision = await applyGraphSave(id, revision, plan);
+    } catch (saveError) {
+      if (saveError.status === 409) {
+        return res.status(409).json({ error: 'Workflow was changed elsewhere. Reload it before saving' });
+      }
+      if (saveError.status === 404) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      return res.status(500).json({ error: saveError.message });
+    }
+
+    // The trigger may have been added, removed or edited
+    await refreshSchedule(id);
+
+    const { nodes: nodeChanges, edges: edgeChanges } = plan.changes;
+    const changed = [nodeChanges, edgeChanges].some(c => c.created + c.updated + c.deleted > 0);
+    if (changed) {
+      await recordVersion(id, versionInfo(req, req.body.message || 'Saved workflow graph'));
+    }
+
+    const { data: savedNodes } = await supabase
+      .from('nodes')
+      .select('*')
+      .eq('workflow_id', id);
+
+    const { data: savedEdges } = await supabase
+      .from('edges')
+      .select('*')
+      .eq('workflow_id', id);
+
+    res.json({
+      message: 'Workflow graph saved successfully',
+      revision: newRevision,
+      idMap: plan.idMap,
+      edgeIdMap: plan.edgeIdMap,
+      changes: plan.changes,
+      warnings: plan.warnings,
+      nodes: savedNodes,
+      edges: savedEdges
+    });
+  } catch (err) {
+    console.error('Error saving workflow graph:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ========== EXPORT / IMPORT ==========
+// GET /api/workflows/:id/export
+// Portable JSON of the workflow (see services/workflowTransfer.js)
+export async function exportWorkflow(req, res) {
+  try {
+    const { id } = req.params;
+
+    const document = await buildExport(id, req.user.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(document);
+  } catch (err) {
+    console.error('Error exporting workflow:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/workflows/import
+// Body: { document, name?, credentials?: { <exported credential id>: <local credential id> } }
+export async function importWorkflow(req, res) {
+  try {
+    const { document, name, credentials } = req.body || {};
+
+    if (credentials !== undefined && (credentials === null || typeof credentials !== 'object' || Array.isArray(credentials))) {
+      return res.status(400).json({ error: 'credentials must map exported credential ids to local ones' });
+    }
+
+    const info = versionInfo(req, 'Imported workflow');
+    const result = await createFromExport(document, { name, credentials, ownerId: req.user.id, ...info });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid workflow export', errors: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Workflow imported successfully',
+      ...result
+    });
+  } catch (err) {
+    console.error('Error importing workflow:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/workflows/:id/duplicate
+// Body: { name? } - defaults to "<name> (copy)"
+export async function duplicateWorkflow(req, res) {
+  try {
+    const { id } = req.params;
+    const { name } = req.body || {};
+
+    const result = await copyWorkflow(id, { name, ownerId: req.user.id, author: versionInfo(req).author });
+    if (!result) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: 'Workflow can not be duplicated', errors: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Workflow duplicated successfully',
+      ...result
+    });
+  } catch (err) {
+    console.error('Error duplicating workflow:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 // ========== UPDATE WORKFLOW ==========
 // PUT /api/workflows/:id
 export async function updateWorkflow(req, res) {
   try {
     const { id } = req.params;
-    const { name, description, enabled } = req.body;
+    const { name, description, enabled, max_concurrency } = req.body;
+
+    if (!isValidMaxConcurrency(max_concurrency)) {
+      return res.status(400).json({ error: MAX_CONCURRENCY_ERROR });
+    }
 
     // Build update object with only provided fields
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
     if (enabled !== undefined) updates.enabled = enabled;
+    if (max_concurrency !== undefined) updates.max_concurrency = max_concurrency;
     updates.updated_at = new Date();
 
     // Update in Supabase
@@ -133,6 +356,7 @@ export async function updateWorkflow(req, res) {
       .from('workflows')
       .update(updates)
       .eq('id', id)
+      .eq('owner_id', req.user.id)
       .select();
 
     if (error) {
@@ -143,6 +367,15 @@ export async function updateWorkflow(req, res) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
+    // Enabling / disabling a workflow starts or stops its schedule
+    if (enabled !== undefined) {
+      await refreshSchedule(id);
+    }
+
+    if ([name, description, max_concurrency].some(value => value !== undefined)) {
+      await recordVersion(id, versionInfo(req, 'Updated workflow settings'));
+    }
+
     res.json({
       message: 'Workflow updated successfully',
       workflow: data[0]
@@ -160,15 +393,23 @@ export async function deleteWorkflow(req, res) {
     const { id } = req.params;
 
     // Delete workflow (nodes and edges cascade automatically due to DB constraints)
-    const { error } = await supabase
+    const { data, error } = await supabase
       .from('workflows')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('owner_id', req.user.id)
+      .select('id');
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    unschedule(id);
+
     res.json({ message: 'Workflow deleted successfully' });
   } catch (err) {
     console.error('Error deleting workflow:', err);
@@ -7,8 +7,16 @@ import express from 'express';
 import cors from 'cors';
 import workflowRoutes from './routes/workflowRoutes.js';
 import nodeRoutes from './routes/nodeRoutes.js';
+import nodeTypeRoutes from './routes/nodeTypeRoutes.js';
 import edgeRoutes from './routes/edgeRoutes.js';
 import executionRoutes from './routes/executionRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import credentialRoutes from './routes/credentialRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import { requireAuth } from './middleware/auth.js';
+import { startExecutionWorkers } from './services/executionQueue.js';
+import { startScheduler } from './services/scheduler.js';
 
 // ========== INITIALIZATION ==========
 const app = express();
@@ -20,8 +28,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw request body around for webhook signature checks
+const saveRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ verify: saveRawBody }));
+app.use(express.urlencoded({ extended: true, verify: saveRawBody }));
 
 // ========== HEALTH CHECK ==========
 app.get('/api/health', (req, res) => {
@@ -29,10 +42,19 @@ app.get('/api/health', (req, res) => {
 });
 
 // ========== API ROUTES ==========
-app.use('/api/workflows', workflowRoutes);
-app.use('/api/nodes', nodeRoutes);
-app.use('/api/edges', edgeRoutes);
-app.use('/api/executions', executionRoutes);
+app.use('/api/auth', authRoutes);
+
+// Webhooks are called by other systems; they are checked with the trigger's secret instead
+app.use('/api/hooks', webhookRoutes);
+
+// Everything else needs a login token or API key, and only sees the caller's own data
+app.use('/api/workflows', requireAuth, workflowRoutes);
+app.use('/api/nodes', requireAuth, nodeRoutes);
+app.use('/api/node-types', requireAuth, nodeTypeRoutes);
+app.use('/api/edges', requireAuth, edgeRoutes);
+app.use('/api/executions', requireAuth, executionRoutes);
+app.use('/api/schedules', requireAuth, scheduleRoutes);
+app.use('/api/credentials', requireAuth, credentialRoutes);
 
 // ========== ERROR HANDLING ==========
 app.use((req, res) => {
@@ -45,7 +67,13 @@ app.use((err, req, res, next) => {
 });
 
 // ========== START SERVER ==========
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`📝 Test it: http://localhost:${PORT}/api/health`);
+
+  // Workers drain the execution queue in the background
+  await startExecutionWorkers();
+
+  // Cron timers for workflows with scheduled triggers
+  startScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,47 @@
+// src/middleware/auth.js
+// Lets a request through only if it carries a valid login token or API key.
+// Sets req.user = { id, email, name, authMethod: 'token' | 'api_key' }.
+//
+//   Authorization: Bearer <token or API key>
+//   X-API-Key: <API key>
+
+import { getAuthProvider } from '../services/auth.js';
+import { findApiKeyUser, isApiKey } from '../services/apiKeys.js';
+
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+export async function requireAuth(req, res, next) {
+  try {
+    const token = readToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const provider = getAuthProvider();
+    let user = null;
+
+    if (isApiKey(token)) {
+      const userId = await findApiKeyUser(token);
+      user = userId && await provider.getUser(userId);
+      if (user) user = { ...user, authMethod: 'api_key' };
+    } else {
+      user = await provider.verifyToken(token);
+      if (user) user = { ...user, authMethod: 'token' };
+    }
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired credentials' });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,208 @@
+// src/nodes/action.js
+// Action nodes - do something with the data (send, post, respond)
+// config.type picks the action
+
+import { registerNodeType, registerSubtype } from './registry.js';
+import { sendEmail } from '../services/mailer.js';
+
+registerNodeType({
+  type: 'action',
+  label: 'Action',
+  description: 'Sends, posts or responds with the data',
+  subtypeKey: 'type',
+
+  async execute(node, context, subtype) {
+    const actionType = node.config.type;
+    console.log(`  ✉️ Action: ${actionType || 'unknown'}`);
+
+    const result = subtype
+      ? await subtype.handler(node, context)
+      : { message: 'Action not configured' };
+
+    return {
+      type: 'action',
+      actionType,
+      result,
+      actionTime: new Date()
+    };
+  }
+});
+
+// ========== ACTION HANDLERS ==========
+
+// Sends through the transport picked by EMAIL_TRANSPORT (see services/mailer.js)
+// {
+//   type: 'email',
+//   to: 'kofi@example.com' | ['a@example.com', 'b@example.com'],
+//   cc, bcc, from, replyTo,
+//   subject: 'Daily report for {{ $trigger.payload.date }}',
+//   body: 'plain text',
+//   html: '<p>...</p>',
+//   attachments: [{ filename: 'report.json', content: '{{ $node["Summary"].result.items }}' },
+//                 { filename: 'logo.png', content: '{{ $node["Logo"].data.body }}', encoding: 'base64' }]
+// }
+const ADDRESSES_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+  ]
+};
+
+registerSubtype('action', {
+  name: 'email',
+  label: 'Send Email',
+  description: 'Sends an email',
+  configSchema: {
+    type: 'object',
+    required: ['to'],
+    properties: {
+      to: ADDRESSES_SCHEMA,
+      cc: ADDRESSES_SCHEMA,
+      bcc: ADDRESSES_SCHEMA,
+      from: { type: 'string' },
+      replyTo: { type: 'string' },
+      subject: { type: 'string' },
+      body: {},
+      html: { type: 'string' },
+      attachments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['filename', 'content'],
+          properties: {
+            filename: { type: 'string', minLength: 1 },
+            content: {},
+            encoding: { enum: ['utf8', 'base64'] },
+            contentType: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  async handler(node, context) {
+    const { config } = node;
+    console.log(`📧 Sending email to: ${[config.to].flat().join(', ')}`);
+
+    const delivery = await sendEmail({
+      from: config.from,
+      to: config.to,
+      cc: config.cc,
+      bcc: config.bcc,
+      replyTo: config.replyTo,
+      subject: config.subject || '',
+      text: toText(config.body),
+      html: config.html,
+      attachments: (config.attachments || []).map(toAttachment)
+    }, { signal: context.signal });
+
+    return {
+      sent: true,
+      ...delivery,
+      to: config.to,
+      subject: config.subject
+    };
+  }
+});
+
+// Bodies and attachments built from upstream data are often objects
+function toText(value) {
+  if (value === undefined || value === null) return undefined;
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function toAttachment(attachment) {
+  const content = toText(attachment.content) ?? '';
+  return {
+    filename: attachment.filename,
+    content: attachment.encoding === 'base64' ? Buffer.from(content, 'base64') : content,
+    contentType: attachment.contentType
+  };
+}
+
+// These are placeholder functions - replace with real service calls
+
+registerSubtype('action', {
+  name: 'sms',
+  label: 'Send SMS',
+  description: 'Sends a text message',
+  configSchema: {
+    type: 'object',
+    required: ['phone'],
+    properties: {
+      phone: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  handler(node) {
+    const { config } = node;
+    // TODO: Replace with actual Twilio/SMS service call
+    console.log(`📱 Sending SMS to: ${config.phone}`);
+    return { sent: true, phone: config.phone };
+  }
+});
+
+registerSubtype('action', {
+  name: 'post',
+  label: 'Post to Social',
+  description: 'Posts to a social media platform',
+  configSchema: {
+    type: 'object',
+    required: ['platform'],
+    properties: {
+      platform: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  handler(node) {
+    const { config } = node;
+    // TODO: Replace with actual social media API calls
+    console.log(`📢 Posting to: ${config.platform}`);
+    return { posted: true, platform: config.platform };
+  }
+});
+
+// The webhook route waits for this node's result and sends it as the HTTP response
+registerSubtype('action', {
+  name: 'respond_webhook',
+  label: 'Respond to Webhook',
+  description: 'Sets the HTTP response of a webhook trigger with respond: "wait"',
+  configSchema: {
+    type: 'object',
+    properties: {
+      statusCode: { type: 'integer', minimum: 100, maximum: 599 },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      body: {}
+    }
+  },
+
+  handler(node) {
+    const { config } = node;
+    console.log(`↩️ Responding to webhook: ${config.statusCode || 200}`);
+    return {
+      statusCode: config.statusCode || 200,
+      headers: config.headers || {},
+      body: config.body === undefined ? {} : config.body
+    };
+  }
+});
+
+// Ends a sub-workflow's job: the parent's execute_workflow node gets `value` back
+registerSubtype('action', {
+  name: 'return',
+  label: 'Return to Parent',
+  description: 'Sends a value back to the workflow that called this one',
+  configSchema: {
+    type: 'object',
+    properties: {
+      value: {}
+    }
+  },
+
+  handler(node) {
+    console.log('↩️ Returning value to parent workflow');
+    return { value: node.config.value === undefined ? null : node.config.value };
+  }
+});
@@ -0,0 +1,61 @@
+// src/nodes/code.js
+// Code transform: { type: 'code', code: '...' }
+//
+// Runs JavaScript in a sandbox (see utils/sandbox.js). The code is the body
+// of an async function and gets:
+//   items    - the input items (config.input or the incoming nodes, like other transforms)
+//   $node    - outputs of earlier nodes, by label or id
+//   $trigger - the trigger output
+// It returns the new items, e.g.
+//   return items.map(item => ({ ...item, total: item.price * item.qty }));
+//
+// console.log output ends up in result.logs. There is no require, process,
+// network or timers. Errors are reported with the line they happened on.
+//
+// Config:
+//   cpuLimitMs:    1000 (max 30000)
+//   memoryLimitMb: 64 (max 512)
+
+import { registerSubtype } from './registry.js';
+import { selectItems } from './transform.js';
+import { runInSandbox } from '../utils/sandbox.js';
+
+registerSubtype('transform', {
+  name: 'code',
+  label: 'Code',
+  description: 'Transforms items with your own JavaScript',
+  configSchema: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      input: {},
+      code: { type: 'string', minLength: 1 },
+      cpuLimitMs: { type: 'integer', minimum: 1, maximum: 30000 },
+      memoryLimitMb: { type: 'integer', minimum: 16, maximum: 512 }
+    }
+  },
+
+  async handler(node, context) {
+    const { code, cpuLimitMs, memoryLimitMb } = node.config;
+    const globals = {
+      items: selectItems(node.config, context),
+      $node: context.scope.$node,
+      $trigger: context.scope.$trigger
+    };
+
+    const { value, logs } = await runInSandbox(code, globals, {
+      cpuLimitMs,
+      memoryLimitMb,
+      signal: context.signal
+    });
+
+    if (value === null || typeof value !== 'object') {
+      const error = new Error('Code must return an array of items (or a single object)');
+      error.logs = logs;
+      throw error;
+    }
+
+    const items = Array.isArray(value) ? value : [value];
+    return { items, count: items.length, logs };
+  }
+});
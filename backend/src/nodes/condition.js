@@ -0,0 +1,100 @@
+// src/nodes/condition.js
+// Condition nodes - route the workflow down one branch
+//
+// The node picks one output handle and only edges whose source_handle
+// matches it are followed (see utils/conditions.js for the rule format).
+//   if:     { combinator, conditions }                                    → 'true' / 'false'
+//   switch: { mode: 'switch', cases: [{ handle, combinator, conditions }], fallback } → case handle
+
+import { registerNodeType, registerSubtype } from './registry.js';
+import { evaluateGroup, OPERATORS } from '../utils/conditions.js';
+
+// A rule, or a nested and/or group of rules
+const RULE_ITEM_SCHEMA = {
+  type: 'object',
+  anyOf: [{ required: ['conditions'] }, { required: ['operator'] }],
+  properties: {
+    combinator: { enum: ['and', 'or'] },
+    conditions: { type: 'array', items: { $ref: '#/$defs/item' } },
+    field: { type: 'string' },
+    operator: { enum: OPERATORS },
+    flags: { type: 'string' }
+  }
+};
+
+registerNodeType({
+  type: 'condition',
+  label: 'Condition',
+  description: 'Routes the workflow based on rules',
+  subtypeKey: 'mode',
+  defaultSubtype: 'if',
+  outputs: ['true', 'false', 'error'],
+
+  execute(node, context, subtype) {
+    const mode = node.config.mode || 'if';
+    console.log(`  🔀 Condition: ${mode}`);
+
+    if (!subtype) {
+      throw new Error(`Invalid condition mode "${mode}". Must be "if" or "switch"`);
+    }
+
+    return {
+      type: 'condition',
+      mode,
+      outcome: subtype.handler(node, context),
+      evaluatedAt: new Date()
+    };
+  }
+});
+
+registerSubtype('condition', {
+  name: 'if',
+  label: 'If',
+  description: 'Follows "true" when the rules match, otherwise "false"',
+  configSchema: {
+    type: 'object',
+    required: ['conditions'],
+    properties: {
+      combinator: { enum: ['and', 'or'] },
+      conditions: { type: 'array', items: { $ref: '#/$defs/item' } }
+    },
+    $defs: { item: RULE_ITEM_SCHEMA }
+  },
+
+  handler(node, context) {
+    return evaluateGroup(node.config, context.scope) ? 'true' : 'false';
+  }
+});
+
+registerSubtype('condition', {
+  name: 'switch',
+  label: 'Switch',
+  description: 'Follows the handle of the first matching case, otherwise the fallback',
+  // Plus one handle per case (cases[].handle)
+  outputs: ['default', 'error'],
+  configSchema: {
+    type: 'object',
+    required: ['cases'],
+    properties: {
+      cases: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['handle', 'conditions'],
+          properties: {
+            handle: { type: 'string', minLength: 1 },
+            combinator: { enum: ['and', 'or'] },
+            conditions: { type: 'array', items: { $ref: '#/$defs/item' } }
+          }
+        }
+      },
+      fallback: { type: 'string' }
+    },
+    $defs: { item: RULE_ITEM_SCHEMA }
+  },
+
+  handler(node, context) {
+    const matched = node.config.cases.find(item => evaluateGroup(item, context.scope));
+    return matched ? matched.handle : (node.config.fallback || 'default');
+  }
+});
@@ -0,0 +1,76 @@
+// src/nodes/data.js
+// Data nodes - fetch data from an outside source
+// config.source picks the source
+
+import { registerNodeType, registerSubtype } from './registry.js';
+
+registerNodeType({
+  type: 'data',
+  label: 'Data Source',
+  description: 'Fetches data from an outside source',
+  subtypeKey: 'source',
+
+  async execute(node, context, subtype) {
+    const source = node.config.source;
+    console.log(`  📊 Fetching data: ${source || 'unknown'}`);
+
+    const data = subtype
+      ? await subtype.handler(node, context)
+      : { message: 'Data source not configured' };
+
+    return {
+      type: 'data',
+      source,
+      data,
+      fetchedAt: new Date()
+    };
+  }
+});
+
+// ========== DATA SOURCE HANDLERS ==========
+// These are placeholder functions - replace with real API calls
+
+registerSubtype('data', {
+  name: 'weather',
+  label: 'Weather',
+  description: 'Current weather for a location',
+  configSchema: {
+    type: 'object',
+    properties: {
+      location: { type: 'string' }
+    }
+  },
+
+  async handler(node) {
+    // TODO: Replace with actual weather API call
+    return { temp: 72, condition: 'Sunny' };
+  }
+});
+
+registerSubtype('data', {
+  name: 'calendar',
+  label: 'Calendar',
+  description: 'Upcoming calendar events',
+
+  async handler(node) {
+    // TODO: Replace with actual calendar API call
+    return { events: [] };
+  }
+});
+
+registerSubtype('data', {
+  name: 'github',
+  label: 'GitHub',
+  description: 'Recent commits and pull requests',
+  configSchema: {
+    type: 'object',
+    properties: {
+      repo: { type: 'string' }
+    }
+  },
+
+  async handler(node) {
+    // TODO: Replace with actual GitHub API call
+    return { commits: [], prs: [] };
+  }
+});
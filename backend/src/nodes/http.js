@@ -0,0 +1,264 @@
+// src/nodes/http.js
+// Generic HTTP request data source: { source: 'http', ... }
+//
+// Config:
+//   method:       GET | POST | PUT | PATCH | DELETE | HEAD (default GET)
+//   url:          'https://api.example.com/items'
+//   headers:      { 'Accept': 'application/json' }
+//   query:        { q: '{{ $trigger.payload.search }}' }
+//   body:         object (sent as JSON) or string
+//   auth:         { type: 'none' }
+//                 { type: 'bearer', token }
+//                 { type: 'basic', username, password }
+//                 { type: 'apiKey', name, value, in: 'header' | 'query' }
+//   responseType: json | text | binary (binary comes back base64 encoded)
+//   failOnError:  true (default) - non-2xx responses fail the node
+//   pagination:   { mode: 'nextLink', nextPath: 'links.next', maxPages: 5, itemsPath: 'data' }
+//                 { mode: 'page', pageParam: 'page', startPage: 1, maxPages: 5, itemsPath: 'data' }
+//
+// Output (under the data node's "data" key): { status, headers, body }
+// With pagination, body is an array with one entry per page, plus
+// pageCount and (when itemsPath is set) items from every page combined.
+// A next link to another origin is followed without the auth and the
+// Authorization / Cookie headers.
+
+import { registerSubtype } from './registry.js';
+import { getPath } from '../utils/expressions.js';
+
+const MAX_PAGES = 100;
+const DEFAULT_MAX_PAGES = 10;
+
+// Headers that carry credentials, dropped when a next link leaves the origin
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+registerSubtype('data', {
+  name: 'http',
+  label: 'HTTP Request',
+  description: 'Calls any HTTP API',
+  configSchema: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'] },
+      url: { type: 'string', minLength: 1 },
+      headers: { type: 'object' },
+      query: { type: 'object' },
+      body: {},
+      auth: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: ['none', 'bearer', 'basic', 'apiKey'] },
+          token: { type: 'string' },
+          username: { type: 'string' },
+          password: { type: 'string' },
+          name: { type: 'string' },
+          value: { type: 'string' },
+          in: { enum: ['header', 'query'] }
+        }
+      },
+      responseType: { enum: ['json', 'text', 'binary'] },
+      failOnError: { type: 'boolean' },
+      pagination: {
+        type: 'object',
+        required: ['mode'],
+        properties: {
+          mode: { enum: ['none', 'nextLink', 'page'] },
+          nextPath: { type: 'string' },
+          pageParam: { type: 'string' },
+          startPage: { type: 'integer' },
+          maxPages: { type: 'integer', minimum: 1, maximum: MAX_PAGES },
+          itemsPath: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  async handler(node, context) {
+    const { config } = node;
+    const pagination = config.pagination || { mode: 'none' };
+
+    if (pagination.mode === 'none') {
+      return sendRequest(config, buildUrl(config), context.signal);
+    }
+
+    return fetchPages(config, pagination, context.signal);
+  }
+});
+
+// ========== PAGINATION ==========
+
+async function fetchPages(config, pagination, signal) {
+  const maxPages = Math.min(pagination.maxPages || DEFAULT_MAX_PAGES, MAX_PAGES);
+  const pages = [];
+  let url = buildUrl(config);
+  const origin = new URL(url).origin;
+  let page = pagination.startPage ?? 1;
+
+  while (url && pages.length < maxPages) {
+    if (pagination.mode === 'page') {
+      url = setQueryParam(url, pagination.pageParam || 'page', page++);
+    }
+
+    const sameOrigin = new URL(url).origin === origin;
+    const response = await sendRequest(config, url, signal, { withCredentials: sameOrigin });
+    pages.push(response);
+
+    if (pagination.mode === 'nextLink') {
+      const next = pagination.nextPath
+        ? getPath(response.body, pagination.nextPath)
+        : parseNextLink(response.headers.link);
+      url = next ? new URL(next, url).toString() : null;
+    } else {
+      // Page mode stops at the first empty page
+      const items = pagination.itemsPath ? getPath(response.body, pagination.itemsPath) : response.body;
+      if (!Array.isArray(items) || items.length === 0) break;
+    }
+  }
+
+  const last = pages[pages.length - 1];
+  const output = {
+    status: last.status,
+    headers: last.headers,
+    body: pages.map(response => response.body),
+    pageCount: pages.length
+  };
+
+  if (pagination.itemsPath) {
+    output.items = pages.flatMap(response => getPath(response.body, pagination.itemsPath) || []);
+  }
+
+  return output;
+}
+
+// Reads the rel="next" URL from a Link header
+function parseNextLink(header) {
+  if (!header) return null;
+
+  const match = header.split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="?next"?/))
+    .find(Boolean);
+
+  return match ? match[1] : null;
+}
+
+// ========== REQUEST ==========
+
+function buildUrl(config) {
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (error) {
+    throw new Error(`Invalid URL "${withoutQuery(String(config.url))}"`);
+  }
+
+  Object.entries(config.query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  });
+
+  const auth = config.auth || {};
+  if (auth.type === 'apiKey' && auth.in === 'query') {
+    url.searchParams.set(auth.name, auth.value);
+  }
+
+  return url.toString();
+}
+
+function setQueryParam(url, name, value) {
+  const parsed = new URL(url);
+  parsed.searchParams.set(name, String(value));
+  return parsed.toString();
+}
+
+function buildHeaders(config, withCredentials) {
+  const headers = {};
+  Object.entries(config.headers || {}).forEach(([key, value]) => {
+    headers[key.toLowerCase()] = String(value);
+  });
+
+  if (!withCredentials) {
+    CREDENTIAL_HEADERS.forEach(name => delete headers[name]);
+    return headers;
+  }
+
+  const auth = config.auth || {};
+  switch (auth.type) {
+    case 'bearer':
+      headers.authorization = `Bearer ${auth.token}`;
+      break;
+    case 'basic':
+      headers.authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`;
+      break;
+    case 'apiKey':
+      if (auth.in !== 'query') {
+        headers[(auth.name || 'x-api-key').toLowerCase()] = auth.value;
+      }
+      break;
+  }
+
+  return headers;
+}
+
+// The URL without its query string, which often carries keys
+function withoutQuery(url) {
+  return url.split(/[?#]/)[0];
+}
+
+// signal aborts the request when the execution is cancelled
+async function sendRequest(config, url, signal, { withCredentials = true } = {}) {
+  const method = config.method || 'GET';
+  const headers = buildHeaders(config, withCredentials);
+  let body;
+
+  if (config.body !== undefined && config.body !== null && !['GET', 'HEAD'].includes(method)) {
+    if (typeof config.body === 'string') {
+      body = config.body;
+    } else {
+      body = JSON.stringify(config.body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+  }
+
+  // Query strings stay out of the server log and of error messages, which
+  // are stored with the execution
+  console.log(`  🌐 ${method} ${withoutQuery(url)}`);
+
+  let response;
+  try {
+    response = await fetch(url, { method, headers, body, signal });
+  } catch (error) {
+    throw new Error(`Request to ${withoutQuery(url)} failed: ${error.cause ? error.cause.message : error.message}`);
+  }
+
+  if (!response.ok && config.failOnError !== false) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status} ${response.statusText} from ${withoutQuery(url)}: ${text.slice(0, 200)}`);
+  }
+
+  return {
+    status: response.status,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: await readBody(response, config.responseType || 'json')
+  };
+}
+
+async function readBody(response, responseType) {
+  if (responseType === 'binary') {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return buffer.toString('base64');
+  }
+
+  const text = await response.text();
+
+  if (responseType === 'text' || text === '') {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Expected a JSON response but got: ${text.slice(0, 100)}`);
+  }
+}
@@ -0,0 +1,16 @@
+// src/nodes/index.js
+// Loads every built-in node type into the registry.
+// To add a node type, create a module that calls registerNodeType /
+// registerSubtype and import it here.
+
+import './trigger.js';
+import './data.js';
+import './http.js';
+import './transform.js';
+import './code.js';
+import './action.js';
+import './condition.js';
+import './loop.js';
+import './subworkflow.js';
+
+export * from './registry.js';
@@ -0,0 +1,60 @@
+// src/nodes/loop.js
+// Loop node - runs its "body" branch once per item, then continues on "done"
+//
+// Config:
+//   input:       the list to loop over, e.g. '{{ $node["GitHub"].data.commits }}'
+//                (defaults to the items of the incoming nodes, like transforms)
+//   batchSize:   items per iteration (default 1). Above 1, $item is an array.
+//   concurrency: iterations running at the same time (default 1)
+//
+// Nodes on the body branch see {{ $item }} and {{ $index }}. The "done"
+// output has the result of every iteration (the output of the last body node
+// that ran) in iteration order:
+//   { type: 'loop', outcome: 'done', items: [...], count, itemCount }
+
+import { registerNodeType } from './registry.js';
+import { selectItems } from './transform.js';
+
+const MAX_BATCH_SIZE = 1000;
+const MAX_CONCURRENCY = 20;
+
+registerNodeType({
+  type: 'loop',
+  label: 'Loop',
+  description: 'Runs the "body" branch once per item, then continues on "done"',
+  outputs: ['body', 'done', 'error'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      input: {},
+      batchSize: { type: 'integer', minimum: 1, maximum: MAX_BATCH_SIZE },
+      concurrency: { type: 'integer', minimum: 1, maximum: MAX_CONCURRENCY }
+    }
+  },
+
+  async execute(node, context) {
+    const { batchSize = 1, concurrency = 1 } = node.config;
+    const items = selectItems(node.config, context);
+    const iterations = batchSize > 1 ? toBatches(items, batchSize) : items;
+
+    console.log(`  🔁 Looping over ${items.length} items (${iterations.length} iterations)`);
+
+    const results = await context.runLoopBody(iterations, { concurrency });
+
+    return {
+      type: 'loop',
+      outcome: 'done',
+      items: results,
+      count: results.length,
+      itemCount: items.length
+    };
+  }
+});
+
+function toBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
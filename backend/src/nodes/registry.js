@@ -0,0 +1,266 @@
+// src/nodes/registry.js
+// Node type registry
+//
+// Every node type registers itself here instead of being hard-coded in the
+// engine and controllers. A type can have subtypes, picked by a config
+// field: data nodes pick theirs with config.source, actions with config.type.
+//
+// Type definition:
+//   {
+//     type: 'data',
+//     label: 'Data Source',
+//     description: '...',
+//     subtypeKey: 'source',          // config field that selects the subtype
+//     defaultSubtype: 'manual',      // used when that field is missing (optional)
+//     inputs: ['main'],              // input handles
+//     outputs: ['main', 'error'],    // output handles
+//     configSchema: { ... },         // JSON schema for config
+//     execute(node, context, subtype) → output
+//   }
+//
+// Subtype definition:
+//   {
+//     name: 'weather',
+//     label: 'Weather',
+//     description: '...',
+//     configSchema: { ... },         // checked on top of the type's schema
+//     outputs: [...],                // overrides the type's output handles (optional)
+//     perItemConfig: ['fields'],     // config fields the handler resolves once per item,
+//                                    // so the engine leaves their {{ $item }} alone (optional)
+//     validate(config) → error message or null   (optional, for checks a schema can't express)
+//     handler(node, context) → result
+//   }
+//
+// node.config is already resolved ({{ expressions }} replaced) when a handler runs.
+// Because of that, a field may hold an expression string such as
+// '{{ $node["Fetch"].data.count }}' in place of the number, boolean or enum
+// value its schema describes. Such a field is checked again by the engine
+// once resolved. The subtype key and onError are the exceptions: both are
+// needed before anything is resolved.
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const nodeTypes = new Map();
+
+// Settings every node accepts, whatever its type (see utils/retry.js and services/credentials.js).
+// onError takes no expression: it also decides what happens when resolving one fails.
+const COMMON_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    retry: {
+      type: 'object',
+      properties: {
+        attempts: { type: 'integer', minimum: 1, maximum: 10 },
+        backoff: { enum: ['fixed', 'exponential'] },
+        delayMs: { type: 'number', minimum: 0 }
+      }
+    },
+    timeoutMs: { type: 'number', exclusiveMinimum: 0 },
+    onError: { enum: ['stop', 'continue', 'route'] },
+    credentialId: { type: 'string', minLength: 1 }
+  }
+};
+
+// ========== REGISTRATION ==========
+
+export function registerNodeType(definition) {
+  if (nodeTypes.has(definition.type)) {
+    throw new Error(`Node type "${definition.type}" is already registered`);
+  }
+
+  nodeTypes.set(definition.type, {
+    inputs: ['main'],
+    outputs: ['main', 'error'],
+    configSchema: { type: 'object' },
+    ...definition,
+    subtypes: new Map()
+  });
+}
+
+export function registerSubtype(type, definition) {
+  const nodeType = nodeTypes.get(type);
+
+  if (!nodeType) {
+    throw new Error(`Cannot register subtype "${definition.name}": unknown node type "${type}"`);
+  }
+  if (nodeType.subtypes.has(definition.name)) {
+    throw new Error(`Subtype "${definition.name}" is already registered for "${type}"`);
+  }
+
+  nodeType.subtypes.set(definition.name, definition);
+}
+
+// ========== LOOKUP ==========
+
+export function getNodeType(type) {
+  return nodeTypes.get(type) || null;
+}
+
+export function getNodeTypeNames() {
+  return [...nodeTypes.keys()];
+}
+
+// Returns the subtype selected by the config, or null if there is none
+export function getSubtype(nodeType, config) {
+  if (!nodeType.subtypeKey) return null;
+
+  const name = (config || {})[nodeType.subtypeKey] ?? nodeType.defaultSubtype;
+  return nodeType.subtypes.get(name) || null;
+}
+
+// Output handles a node offers, taking its subtype into account
+export function getOutputHandles(nodeType, config) {
+  const subtype = getSubtype(nodeType, config);
+  return (subtype && subtype.outputs) || nodeType.outputs;
+}
+
+// Config fields that are resolved per item by the node itself
+export function getPerItemConfigKeys(type, config) {
+  const nodeType = getNodeType(type);
+  if (!nodeType) return [];
+
+  const subtype = getSubtype(nodeType, config);
+  return (subtype && subtype.perItemConfig) || nodeType.perItemConfig || [];
+}
+
+// Serializable description of every registered type, for GET /api/node-types
+export function listNodeTypes() {
+  return [...nodeTypes.values()].map(nodeType => ({
+    type: nodeType.type,
+    label: nodeType.label,
+    description: nodeType.description,
+    inputs: nodeType.inputs,
+    outputs: nodeType.outputs,
+    subtypeKey: nodeType.subtypeKey || null,
+    defaultSubtype: nodeType.defaultSubtype || null,
+    configSchema: nodeType.configSchema,
+    subtypes: [...nodeType.subtypes.values()].map(subtype => ({
+      name: subtype.name,
+      label: subtype.label,
+      description: subtype.description,
+      outputs: subtype.outputs || nodeType.outputs,
+      configSchema: subtype.configSchema || { type: 'object' }
+    }))
+  }));
+}
+
+// ========== VALIDATION ==========
+// Returns a list of problems with a node's config (empty when valid)
+export function validateNodeConfig(type, config) {
+  const nodeType = getNodeType(type);
+
+  if (!nodeType) {
+    return [`Invalid node_type. Must be one of: ${getNodeTypeNames().join(', ')}`];
+  }
+
+  const value = config || {};
+  const errors = [
+    ...checkSchema(COMMON_CONFIG_SCHEMA, value, ['onError']),
+    ...checkSchema(nodeType.configSchema, value, [nodeType.subtypeKey])
+  ];
+
+  if (!nodeType.subtypeKey) return errors;
+
+  const name = value[nodeType.subtypeKey] ?? nodeType.defaultSubtype;
+  const subtype = nodeType.subtypes.get(name);
+
+  if (!subtype) {
+    const names = [...nodeType.subtypes.keys()].join(', ');
+    errors.push(name === undefined
+      ? `config.${nodeType.subtypeKey} is required. Must be one of: ${names}`
+      : `config.${nodeType.subtypeKey} "${name}" is not supported. Must be one of: ${names}`);
+    return errors;
+  }
+
+  if (subtype.configSchema) {
+    errors.push(...checkSchema(subtype.configSchema, value, [nodeType.subtypeKey]));
+  }
+
+  // Custom checks only make sense once the shape is right
+  if (errors.length === 0 && subtype.validate) {
+    const message = subtype.validate(value);
+    if (message) errors.push(message);
+  }
+
+  return errors;
+}
+
+const compiledSchemas = new WeakMap();
+
+const EXPRESSION_SCHEMA = { type: 'string', pattern: '\\{\\{[\\s\\S]*\\}\\}' };
+
+// literalKeys: top-level fields that must be given as is, without expressions
+function checkSchema(schema, value, literalKeys = []) {
+  let validate = compiledSchemas.get(schema);
+  if (!validate) {
+    validate = ajv.compile(allowExpressions(schema, literalKeys));
+    compiledSchemas.set(schema, validate);
+  }
+
+  if (validate(value)) return [];
+
+  // A field that fails both ways is reported against its own schema only
+  return validate.errors
+    .filter(error => error.parentSchema !== EXPRESSION_SCHEMA && !error.parentSchema.expressionAllowed)
+    .map(error => {
+      const path = error.instancePath.split('/').filter(Boolean).join('.');
+      return `config${path ? `.${path}` : ''} ${error.message}`;
+    });
+}
+
+// Copy of a schema where every field that would reject a string also accepts
+// an expression
+function allowExpressions(schema, literalKeys = []) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const copy = { ...schema };
+
+  if (schema.properties) {
+    copy.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [
+      key,
+      literalKeys.includes(key) ? property : withExpression(property)
+    ]));
+  }
+  if (schema.items && !Array.isArray(schema.items)) {
+    copy.items = withExpression(schema.items);
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    copy.additionalProperties = withExpression(schema.additionalProperties);
+  }
+  if (schema.$defs) {
+    copy.$defs = Object.fromEntries(Object.entries(schema.$defs).map(([key, def]) => [key, allowExpressions(def)]));
+  }
+  ['then', 'else'].forEach(key => {
+    if (schema[key]) copy[key] = allowExpressions(schema[key]);
+  });
+  ['anyOf', 'oneOf', 'allOf'].forEach(key => {
+    if (schema[key]) copy[key] = schema[key].map(branch => allowExpressions(branch));
+  });
+
+  return copy;
+}
+
+function withExpression(schema) {
+  const inner = allowExpressions(schema);
+  return acceptsAnyString(schema) ? inner : { anyOf: [inner, EXPRESSION_SCHEMA], expressionAllowed: true };
+}
+
+function acceptsAnyString(schema) {
+  if (!schema || typeof schema !== 'object' || schema.$ref) return true;
+  if (schema.enum || 'const' in schema) return false;
+  if (schema.type === undefined) return !schema.anyOf && !schema.oneOf;
+  return [].concat(schema.type).includes('string');
+}
+
+// ========== EXECUTION ==========
+// Runs a node through its type's execute function
+export async function executeNodeType(node, context) {
+  const nodeType = getNodeType(node.node_type);
+
+  if (!nodeType) {
+    throw new Error(`Unknown node type: ${node.node_type}`);
+  }
+
+  return nodeType.execute(node, context, getSubtype(nodeType, node.config));
+}
@@ -0,0 +1,46 @@
+// src/nodes/subworkflow.js
+// Execute workflow node - calls another workflow like a function
+//
+// Config:
+//   workflowId: the workflow to run
+//   inputs:     becomes the child's {{ $trigger.payload }}, e.g. { "repo": "{{ $item.name }}" }
+//   wait:       true (default) - wait for the child and return its result
+//               false          - start the child and carry on right away
+//
+// The child hands a value back with a "return" action ({ type: 'return', value }).
+// The child is logged as its own execution, linked through parent_execution_id.
+//
+// Output: { type: 'execute_workflow', workflowId, executionId, status, output }
+
+import { registerNodeType } from './registry.js';
+
+registerNodeType({
+  type: 'execute_workflow',
+  label: 'Execute Workflow',
+  description: 'Runs another workflow and returns what its "return" action sends back',
+  configSchema: {
+    type: 'object',
+    required: ['workflowId'],
+    properties: {
+      workflowId: { type: 'string', minLength: 1 },
+      inputs: {},
+      wait: { type: 'boolean' }
+    }
+  },
+
+  async execute(node, context) {
+    const { workflowId, inputs, wait = true } = node.config;
+    console.log(`  🧩 Executing workflow ${workflowId}${wait ? '' : ' (not waiting)'}`);
+
+    const child = await context.runSubWorkflow(workflowId, {
+      payload: inputs === undefined ? {} : inputs,
+      wait
+    });
+
+    return {
+      type: 'execute_workflow',
+      workflowId,
+      ...child
+    };
+  }
+});
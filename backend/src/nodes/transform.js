@@ -0,0 +1,304 @@
+// src/nodes/transform.js
+// Transform nodes - reshape data from earlier nodes
+// config.type picks the transform
+//
+// Transforms work on a list of items and return { items, count }.
+// config.input picks the list, usually with an expression:
+//   "input": "{{ $node[\"GitHub\"].data.commits }}"
+// Without it, the items of the node(s) feeding in are used: result.items of
+// a transform, the current item or the results of a loop, data.items or
+// data of a data node, or the whole output.
+// A single object is treated as a list of one.
+
+import { registerNodeType, registerSubtype } from './registry.js';
+import { resolveConfig, getPath } from '../utils/expressions.js';
+import { evaluateGroup, isNumeric, OPERATORS } from '../utils/conditions.js';
+
+registerNodeType({
+  type: 'transform',
+  label: 'Transform',
+  description: 'Reshapes data from earlier nodes',
+  subtypeKey: 'type',
+
+  async execute(node, context, subtype) {
+    const transformType = node.config.type;
+    console.log(`  🔄 Transforming data: ${transformType || 'unknown'}`);
+
+    const result = subtype
+      ? await subtype.handler(node, context)
+      : { transformed: context.executionData };
+
+    return {
+      type: 'transform',
+      transformType,
+      result,
+      transformedAt: new Date()
+    };
+  }
+});
+
+// ========== INPUT SELECTION ==========
+
+function toItems(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// The items carried by one node output
+function itemsFromOutput(output) {
+  if (output && output.type === 'transform' && output.result && Array.isArray(output.result.items)) {
+    return output.result.items;
+  }
+  if (output && output.type === 'loop') {
+    // Inside the body the loop hands over one item (or batch) at a time
+    return output.outcome === 'body' ? toItems(output.item) : toItems(output.items);
+  }
+  if (output && output.type === 'data') {
+    return toItems(Array.isArray(output.data && output.data.items) ? output.data.items : output.data);
+  }
+  return toItems(output);
+}
+
+// config.input if set, otherwise the items of every incoming node in order
+export function selectItems(config, context) {
+  if (config.input !== undefined) {
+    return toItems(config.input);
+  }
+  return Object.values(context.inputs || {}).flatMap(itemsFromOutput);
+}
+
+function itemScope(context, item, index) {
+  return { ...context.scope, $item: item, $index: index };
+}
+
+function itemsResult(items) {
+  return { items, count: items.length };
+}
+
+// ========== FILTER ==========
+// { type: 'filter', combinator: 'and', conditions: [{ field: 'author.login', operator: 'equals', value: 'kofi' }] }
+// Plain fields are paths into each item; $-fields read the usual scope.
+registerSubtype('transform', {
+  name: 'filter',
+  label: 'Filter',
+  description: 'Keeps the items that match the conditions',
+  perItemConfig: ['conditions'],
+  configSchema: {
+    type: 'object',
+    required: ['conditions'],
+    properties: {
+      input: {},
+      combinator: { enum: ['and', 'or'] },
+      conditions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            operator: { enum: OPERATORS }
+          }
+        }
+      }
+    }
+  },
+
+  handler(node, context) {
+    const group = { combinator: node.config.combinator, conditions: node.config.conditions };
+
+    const items = selectItems(node.config, context).filter((item, index) => {
+      const scope = itemScope(context, item, index);
+      return evaluateGroup(resolveConfig(group, scope), scope);
+    });
+
+    return itemsResult(items);
+  }
+});
+
+// ========== MAP ==========
+// { type: 'map', fields: { title: 'commit.message', author: '{{ $item.author.login }}' }, keepOriginal: false }
+// A plain string is a path into the item, anything with {{ }} is an expression
+// evaluated per item, and other values are copied as they are.
+registerSubtype('transform', {
+  name: 'map',
+  label: 'Map',
+  description: 'Reshapes every item with field mappings',
+  perItemConfig: ['fields'],
+  configSchema: {
+    type: 'object',
+    required: ['fields'],
+    properties: {
+      input: {},
+      fields: { type: 'object' },
+      keepOriginal: { type: 'boolean' }
+    }
+  },
+
+  handler(node, context) {
+    const { fields, keepOriginal } = node.config;
+
+    const items = selectItems(node.config, context).map((item, index) => {
+      const scope = itemScope(context, item, index);
+      const mapped = keepOriginal && item && typeof item === 'object' ? { ...item } : {};
+
+      Object.entries(fields).forEach(([name, mapping]) => {
+        if (typeof mapping === 'string' && !mapping.includes('{{')) {
+          mapped[name] = getPath(item, mapping);
+        } else {
+          mapped[name] = resolveConfig(mapping, scope);
+        }
+      });
+
+      return mapped;
+    });
+
+    return itemsResult(items);
+  }
+});
+
+// ========== SUMMARIZE ==========
+// { type: 'summarize', groupBy: 'repo', aggregations: [{ op: 'count' }, { op: 'sum', field: 'additions', as: 'lines' }] }
+// Returns one item per group (or a single item without groupBy).
+const AGGREGATIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+registerSubtype('transform', {
+  name: 'summarize',
+  label: 'Summarize',
+  description: 'Counts, sums, averages, min and max, optionally grouped by a field',
+  configSchema: {
+    type: 'object',
+    properties: {
+      input: {},
+      groupBy: { type: 'string' },
+      aggregations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['op'],
+          properties: {
+            op: { enum: AGGREGATIONS },
+            field: { type: 'string' },
+            as: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  handler(node, context) {
+    const { groupBy } = node.config;
+    const aggregations = node.config.aggregations || [{ op: 'count' }];
+    const items = selectItems(node.config, context);
+
+    // Map keeps groups in the order they first appear
+    const groups = new Map();
+    items.forEach(item => {
+      const key = groupBy ? getPath(item, groupBy) : null;
+      const groupKey = JSON.stringify(key ?? null);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { key, items: [] });
+      }
+      groups.get(groupKey).items.push(item);
+    });
+
+    if (!groupBy && groups.size === 0) {
+      groups.set('null', { key: null, items: [] });
+    }
+
+    const rows = [...groups.values()].map(group => {
+      const row = groupBy ? { [groupBy]: group.key } : {};
+      aggregations.forEach(aggregation => {
+        const name = aggregation.as || (aggregation.field ? `${aggregation.op}_${aggregation.field}` : aggregation.op);
+        row[name] = aggregate(aggregation, group.items);
+      });
+      return row;
+    });
+
+    return itemsResult(rows);
+  }
+});
+
+function aggregate(aggregation, items) {
+  if (aggregation.op === 'count') {
+    return aggregation.field
+      ? items.filter(item => getPath(item, aggregation.field) !== undefined).length
+      : items.length;
+  }
+
+  if (!aggregation.field) {
+    throw new Error(`Aggregation "${aggregation.op}" needs a field`);
+  }
+
+  const values = items
+    .map(item => getPath(item, aggregation.field))
+    .filter(isNumeric)
+    .map(Number);
+
+  if (values.length === 0) return null;
+
+  switch (aggregation.op) {
+    case 'sum':
+      return values.reduce((total, value) => total + value, 0);
+    case 'avg':
+      return values.reduce((total, value) => total + value, 0) / values.length;
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+  }
+}
+
+// ========== COMBINE ==========
+// { type: 'combine', mode: 'append' | 'position' | 'key', key: 'id', sources: ['{{ ... }}', '{{ ... }}'] }
+//   append   - one list with the items of every source, in order
+//   position - merges item 0 of every source, then item 1, ...
+//   key      - merges items that share the same value of `key`
+// Without sources, every incoming node is a source, in the order the nodes run in.
+registerSubtype('transform', {
+  name: 'combine',
+  label: 'Combine',
+  description: 'Merges or zips the outputs of several nodes',
+  configSchema: {
+    type: 'object',
+    properties: {
+      mode: { enum: ['append', 'position', 'key'] },
+      key: { type: 'string' },
+      sources: { type: 'array' }
+    },
+    if: { properties: { mode: { const: 'key' } }, required: ['mode'] },
+    then: { required: ['key'] }
+  },
+
+  handler(node, context) {
+    const { mode = 'append', key } = node.config;
+    const sources = node.config.sources
+      ? node.config.sources.map(toItems)
+      : Object.values(context.inputs || {}).map(itemsFromOutput);
+
+    if (mode === 'append') {
+      return itemsResult(sources.flat());
+    }
+
+    if (mode === 'position') {
+      const length = Math.max(0, ...sources.map(items => items.length));
+      const items = Array.from({ length }, (value, index) =>
+        Object.assign({}, ...sources.map(items => items[index]).filter(isObject))
+      );
+      return itemsResult(items);
+    }
+
+    // Key mode: first appearance of a key decides the order.
+    // Items without the key are kept as they are.
+    const merged = new Map();
+    sources.flat().filter(isObject).forEach((item, index) => {
+      const value = getPath(item, key);
+      const mergeKey = value === undefined || value === null ? `#${index}` : JSON.stringify(value);
+      merged.set(mergeKey, { ...(merged.get(mergeKey) || {}), ...item });
+    });
+
+    return itemsResult([...merged.values()]);
+  }
+});
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
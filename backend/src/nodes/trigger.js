@@ -0,0 +1,78 @@
+// src/nodes/trigger.js
+// Trigger nodes - where every workflow starts
+// config.type picks how the workflow is started: manual, scheduled or webhook
+
+import { registerNodeType, registerSubtype } from './registry.js';
+import { getNextRunTime } from '../utils/cron.js';
+
+registerNodeType({
+  type: 'trigger',
+  label: 'Trigger',
+  description: 'Starts the workflow',
+  subtypeKey: 'type',
+  defaultSubtype: 'manual',
+  inputs: [],
+  outputs: ['main'],
+
+  execute(node, context, subtype) {
+    console.log(`  📌 Trigger: ${subtype ? subtype.name : node.config.type}`);
+    // The webhook secret stays out of the output, which is stored and readable by every node
+    const { secret, ...config } = node.config;
+    return {
+      type: 'trigger',
+      triggeredAt: new Date(),
+      config,
+      payload: context.payload || {}
+    };
+  }
+});
+
+registerSubtype('trigger', {
+  name: 'manual',
+  label: 'Manual',
+  description: 'Runs when started from the API or the editor'
+});
+
+registerSubtype('trigger', {
+  name: 'scheduled',
+  label: 'Schedule',
+  description: 'Runs on a cron schedule',
+  configSchema: {
+    type: 'object',
+    required: ['cron'],
+    properties: {
+      cron: { type: 'string', minLength: 1 },
+      timezone: { type: 'string' }
+    }
+  },
+
+  validate(config) {
+    try {
+      getNextRunTime(config.cron, config.timezone);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+});
+
+registerSubtype('trigger', {
+  name: 'webhook',
+  label: 'Webhook',
+  description: 'Runs when /api/hooks/:workflowId/:path is called',
+  configSchema: {
+    type: 'object',
+    required: ['path'],
+    properties: {
+      path: { type: 'string', pattern: '^[\\w-]+$' },
+      methods: {
+        type: 'array',
+        items: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'get', 'post', 'put', 'patch', 'delete'] }
+      },
+      respond: { enum: ['immediately', 'wait'] },
+      responseTimeoutMs: { type: 'number', exclusiveMinimum: 0 },
+      secret: { type: 'string' },
+      signatureHeader: { type: 'string' }
+    }
+  }
+});
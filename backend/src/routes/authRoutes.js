@@ -0,0 +1,15 @@
+// src/routes/authRoutes.js
+import express from 'express';
+import * as authController from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/register', authController.register);
+router.post('/login', authController.login);
+router.get('/me', requireAuth, authController.getCurrentUser);
+router.get('/api-keys', requireAuth, authController.getApiKeys);
+router.post('/api-keys', requireAuth, authController.createApiKey);
+router.delete('/api-keys/:id', requireAuth, authController.deleteApiKey);
+
+export default router;
@@ -0,0 +1,13 @@
+// src/routes/credentialRoutes.js
+import express from 'express';
+import * as credentialController from '../controllers/credentialController.js';
+
+const router = express.Router();
+
+router.post('/', credentialController.createCredential);
+router.get('/', credentialController.getAllCredentials);
+router.get('/:id', credentialController.getCredentialById);
+router.put('/:id', credentialController.updateCredential);
+router.delete('/:id', credentialController.deleteCredential);
+
+export default router;
@@ -10,6 +10,10 @@ const router = express.Router();
 router.post('/run/:workflowId', executionController.runWorkflow);
 router.get('/', executionController.getExecutionHistory);
 router.get('/:executionId', executionController.getExecutionDetails);
+router.get('/:executionId/status', executionController.getExecutionStatus);
+router.get('/:executionId/steps', executionController.getExecutionSteps);
+router.post('/:executionId/cancel', executionController.cancelExecution);
+router.post('/:executionId/retry', executionController.retryExecution);
 router.get('/stats/:workflowId', executionController.getExecutionStats);
 
 export default router;
\ No newline at end of file
@@ -8,6 +8,7 @@ router.post('/', nodeController.createNode);
 router.get('/', nodeController.getNodesByWorkflow);
 router.get('/:id', nodeController.getNodeById);
 router.put('/:id', nodeController.updateNode);
+router.post('/:id/test', nodeController.testNode);
 router.delete('/:id', nodeController.deleteNode);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+// src/routes/nodeTypeRoutes.js
+import express from 'express';
+import * as nodeTypeController from '../controllers/nodeTypeController.js';
+
+const router = express.Router();
+
+router.get('/', nodeTypeController.getNodeTypes);
+
+export default router;
@@ -0,0 +1,10 @@
+// src/routes/scheduleRoutes.js
+import express from 'express';
+import * as scheduleController from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+router.get('/', scheduleController.getAllSchedules);
+router.get('/:workflowId', scheduleController.getWorkflowSchedule);
+
+export default router;
@@ -0,0 +1,20 @@
+// src/routes/webhookRoutes.js
+// Public endpoints that start workflows with a webhook trigger
+
+import express from 'express';
+import * as webhookController from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// JSON and form bodies are parsed globally; plain text is parsed here.
+// The raw bytes are kept for signature verification.
+router.use(express.text({
+  type: 'text/*',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+router.all('/:workflowId/:path', webhookController.handleWebhook);
+
+export default router;
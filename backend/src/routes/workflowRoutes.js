@@ -4,13 +4,23 @@
 
 import express from 'express';
 import * as workflowController from '../controllers/workflowController.js';
+import * as versionController from '../controllers/versionController.js';
 
 const router = express.Router();
 
 router.post('/', workflowController.createWorkflow);
 router.get('/', workflowController.getAllWorkflows);
+router.post('/import', workflowController.importWorkflow);
 router.get('/:id', workflowController.getWorkflowById);
+router.get('/:id/validate', workflowController.validateWorkflow);
+router.get('/:id/export', workflowController.exportWorkflow);
+router.post('/:id/duplicate', workflowController.duplicateWorkflow);
 router.put('/:id', workflowController.updateWorkflow);
+router.put('/:id/graph', workflowController.saveWorkflowGraph);
+router.get('/:id/versions', versionController.getVersions);
+router.get('/:id/versions/:versionId', versionController.getVersionById);
+router.get('/:id/versions/:versionId/diff', versionController.getVersionDiff);
+router.post('/:id/versions/:versionId/restore', versionController.restoreVersion);
 router.delete('/:id', workflowController.deleteWorkflow);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// src/services/apiKeys.js
+// Personal API keys, for scripts calling the API as a user
+//
+// A key looks like "ty_<40 hex characters>" and is sent like a login token:
+//   Authorization: Bearer ty_...     or     X-API-Key: ty_...
+// Only its SHA-256 is stored, so a lost key can't be shown again - create a
+// new one and delete the old one.
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import supabase from '../utils/supabaseClient.js';
+
+export const API_KEY_PREFIX = 'ty_';
+const PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+export const API_KEY_COLUMNS = 'id, name, prefix, last_used_at, created_at';
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Returns the stored row plus the key itself, which is never available again
+export async function createApiKey(userId, name) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(20).toString('hex')}`;
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert([{
+      id: uuidv4(),
+      user_id: userId,
+      name,
+      prefix: key.slice(0, PREFIX_LENGTH),
+      key_hash: hashKey(key)
+    }])
+    .select(API_KEY_COLUMNS);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return { ...data[0], key };
+}
+
+// The id of the user the key belongs to, or null
+export async function findApiKeyUser(key) {
+  const { data: apiKey } = await supabase
+    .from('api_keys')
+    .select('id, user_id')
+    .eq('key_hash', hashKey(key))
+    .single();
+
+  if (!apiKey) return null;
+
+  // Not worth failing the request over
+  supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date() })
+    .eq('id', apiKey.id)
+    .then(({ error }) => {
+      if (error) console.error('Failed to update API key last_used_at:', error.message);
+    });
+
+  return apiKey.user_id;
+}
@@ -0,0 +1,225 @@
+// src/services/auth.js
+// Signs users up and in through a pluggable auth provider
+//
+// AUTH_PROVIDER picks the provider:
+//   local    (default) - users table, scrypt password hashes, JWTs signed with AUTH_JWT_SECRET
+//   supabase - Supabase Auth; tokens are Supabase access tokens
+//
+// A provider can be added with registerAuthProvider:
+//   registerAuthProvider('ldap', () => ({
+//     async register({ email, password, name }) { ...; return { user, token }; },
+//     async login({ email, password }) { ...; return { user, token }; },   // null if the password is wrong
+//     async verifyToken(token) { ...; return user; },                      // null if the token is invalid
+//     async getUser(id) { ...; return user; }
+//   }));
+//
+// user: { id, email, name }
+// Errors meant for the caller carry error.status (400, 409, ...).
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import supabase from '../utils/supabaseClient.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_TOKEN_TTL = '12h';
+const TOKEN_ISSUER = 'tene-yie';
+
+const providerFactories = new Map();
+const providers = new Map();
+
+export function registerAuthProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+}
+
+// The provider named by AUTH_PROVIDER, created on first use
+export function getAuthProvider(name = process.env.AUTH_PROVIDER || 'local') {
+  if (!providers.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown auth provider "${name}". Must be one of: ${[...providerFactories.keys()].join(', ')}`);
+    }
+    providers.set(name, { name, ...factory() });
+  }
+  return providers.get(name);
+}
+
+export function authError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Checks shared by every provider, before it is asked to create a user
+export function checkCredentials({ email, password }) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw authError('A valid email is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+// ========== LOCAL ==========
+
+const toUser = row => ({ id: row.id, email: row.email, name: row.name || null });
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Checked against when the email is unknown, so that answer takes as long
+// as a wrong password and doesn't tell which emails have an account
+let dummyHash = null;
+
+function getDummyHash() {
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function getJwtSecret() {
+  const secret = process.env.AUTH_JWT_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_JWT_SECRET is not set');
+  }
+  return secret;
+}
+
+function signToken(user) {
+  return jwt.sign({ email: user.email, name: user.name }, getJwtSecret(), {
+    subject: user.id,
+    issuer: TOKEN_ISSUER,
+    expiresIn: process.env.AUTH_TOKEN_TTL || DEFAULT_TOKEN_TTL
+  });
+}
+
+registerAuthProvider('local', () => ({
+  async register({ email, password, name }) {
+    const normalized = email.trim().toLowerCase();
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', normalized);
+
+    if (existing && existing.length > 0) {
+      throw authError('An account with this email already exists', 409);
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .insert([{
+        id: uuidv4(),
+        email: normalized,
+        name: name || null,
+        password_hash: await hashPassword(password)
+      }])
+      .select('id, email, name');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const user = toUser(data[0]);
+    return { user, token: signToken(user) };
+  },
+
+  async login({ email, password }) {
+    const { data: row } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', String(email).trim().toLowerCase())
+      .single();
+
+    if (!row) {
+      await verifyPassword(password, await getDummyHash());
+      return null;
+    }
+    if (!(await verifyPassword(password, row.password_hash))) {
+      return null;
+    }
+
+    const user = toUser(row);
+    return { user, token: signToken(user) };
+  },
+
+  async verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, getJwtSecret(), { issuer: TOKEN_ISSUER });
+      return { id: payload.sub, email: payload.email, name: payload.name || null };
+    } catch (error) {
+      if (error.message === 'AUTH_JWT_SECRET is not set') throw error;
+      return null;
+    }
+  },
+
+  async getUser(id) {
+    const { data: row } = await supabase
+      .from('users')
+      .select('id, email, name')
+      .eq('id', id)
+      .single();
+
+    return row ? toUser(row) : null;
+  }
+}));
+
+// ========== SUPABASE ==========
+
+registerAuthProvider('supabase', () => {
+  // A client of its own: signing in stores a session on the client, and the
+  // shared one must keep using the server key
+  const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+  const fromSupabase = user => ({
+    id: user.id,
+    email: user.email,
+    name: (user.user_metadata && user.user_metadata.name) || null
+  });
+
+  return {
+    async register({ email, password, name }) {
+      const { data, error } = await client.auth.signUp({ email, password, options: { data: { name } } });
+      if (error) {
+        throw authError(error.message, error.status === 422 ? 409 : 400);
+      }
+      // No session until the email is confirmed, if the project requires it
+      return { user: fromSupabase(data.user), token: data.session ? data.session.access_token : null };
+    },
+
+    async login({ email, password }) {
+      const { data, error } = await client.auth.signInWithPassword({ email, password });
+      if (error || !data.session) return null;
+      return { user: fromSupabase(data.user), token: data.session.access_token };
+    },
+
+    async verifyToken(token) {
+      const { data, error } = await client.auth.getUser(token);
+      return error || !data.user ? null : fromSupabase(data.user);
+    },
+
+    // Only used for API keys, which come without a user token. The admin
+    // API needs SUPABASE_KEY to be the service role key.
+    async getUser(id) {
+      const { data, error } = await supabase.auth.admin.getUserById(id);
+      return error || !data.user ? null : fromSupabase(data.user);
+    }
+  };
+});
@@ -0,0 +1,36 @@
+// src/services/credentials.js
+// Loads credentials for the engine. Secrets are only decrypted here, at run time.
+//
+// A node points at a credential with config.credentialId, and its config reads
+// the secret fields through {{ $credential }}:
+//   { "source": "http", "credentialId": "...", "auth": { "type": "bearer", "token": "{{ $credential.token }}" } }
+
+import supabase from '../utils/supabaseClient.js';
+import { decryptJson } from '../utils/encryption.js';
+
+// Only credentials of ownerId (the owner of the workflow being run) are found
+export async function loadCredential(id, ownerId) {
+  const { data: credential, error } = await supabase
+    .from('credentials')
+    .select('*')
+    .eq('id', id)
+    .eq('owner_id', ownerId)
+    .single();
+
+  if (error || !credential) {
+    throw new Error(`Credential "${id}" not found`);
+  }
+
+  return {
+    id: credential.id,
+    name: credential.name,
+    type: credential.type,
+    data: decryptJson(credential.data)
+  };
+}
+
+// What the API returns: everything but the secrets
+export function toPublicCredential(credential) {
+  const { data, ...rest } = credential;
+  return rest;
+}
@@ -4,13 +4,68 @@
 
 import supabase from '../utils/supabaseClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  buildAdjacencyMap,
+  buildIncomingEdgeMap,
+  buildUpstreamMap,
+  findReachable,
+  topologicalSort
+} from '../utils/graph.js';
+import { buildScope, resolveConfig } from '../utils/expressions.js';
+import { executeNodeType, getPerItemConfigKeys, validateNodeConfig } from '../nodes/index.js';
+import { recordStep } from './executionSteps.js';
+import {
+  CANCELLED_MESSAGE,
+  getErrorPolicy,
+  getRetryDelay,
+  runAttempt,
+  sleep
+} from '../utils/retry.js';
+import { collectSecrets, redactSecrets } from '../utils/redact.js';
+import { loadCredential } from './credentials.js';
+import { createLimiter, mapWithConcurrency } from '../utils/concurrency.js';
+import { enqueueExecution } from './executionQueue.js';
+import { validateGraph } from './workflowValidation.js';
+
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_WORKFLOW_CONCURRENCY = 4;
+const DEFAULT_GLOBAL_CONCURRENCY = 10;
+
+// Abort controllers of the runs in progress in this process, by execution id
+const activeRuns = new Map();
 
 // ========== MAIN EXECUTION FUNCTION ==========
-export const executeWorkflow = async (workflowId) => {
-  const executionId = uuidv4();
-  const startTime = new Date();
-  
+// options.payload is exposed to expressions as $trigger.payload
+// options.executionId reuses a row created earlier by createExecutionRecord
+// options.parentExecutionId / options.depth are set for sub-workflow runs
+// options.signal cancels this run along with the parent's
+// options.definition ({ nodes, edges }) runs that graph instead of the saved one,
+// options.versionId is the workflow version it came from
+// options.previousOutputs reuses node outputs of an earlier run (retry from failure)
+export const executeWorkflow = async (workflowId, options = {}) => {
+  const executionId = options.executionId || await createExecutionRecord(workflowId, options);
+  // Values of every credential decrypted during the run, hidden from what gets stored
+  const secrets = new Set();
+  // Kept outside the try so a failed run can still store what it got done
+  const executionData = {};
+  let orderedNodes = [];
+  let snapshot = null;
+  let versionId = null;
+
+  const controller = new AbortController();
+  activeRuns.set(executionId, controller);
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+
   try {
+    // A queued run may have been cancelled before a worker picked it up.
+    // Checked after registering in activeRuns, so a later cancel aborts it.
+    if (options.executionId && await wasCancelled(executionId)) {
+      return { success: false, cancelled: true, executionId, error: CANCELLED_MESSAGE };
+    }
+
     console.log(`🚀 Starting execution of workflow: ${workflowId}`);
 
     // Fetch workflow
@@ -28,287 +83,773 @@ export const executeWorkflow = async (workflowId) => {
       throw new Error('Workflow is disabled');
     }
 
-    // Fetch nodes and edges
-    const { data: nodes } = await supabase
-      .from('nodes')
-      .select('*')
-      .eq('workflow_id', workflowId);
-
-    const { data: edges } = await supabase
-      .from('edges')
-      .select('*')
-      .eq('workflow_id', workflowId);
+    const { nodes, edges } = options.definition || await fetchDefinition(workflowId);
+    versionId = options.definition ? options.versionId || null : workflow.current_version_id || null;
 
     if (!nodes || nodes.length === 0) {
       throw new Error('Workflow has no nodes');
     }
 
+    // Scheduled and webhook runs don't go through the run route's check
+    const { errors } = validateGraph(nodes, edges);
+    if (errors.length > 0) {
+      throw new Error(`Workflow is invalid: ${errors.map(issue => issue.message).join('; ')}`);
+    }
+
+    // What ran, so the execution can be retried later on the same definition
+    snapshot = { nodes, edges, payload: options.payload === undefined ? null : options.payload };
+
     // Find trigger node (must be the starting point)
     const triggerNode = nodes.find(n => n.node_type === 'trigger');
     if (!triggerNode) {
       throw new Error('No trigger node found. Workflow must start with a trigger');
     }
 
-    // Build graph structure
+    // A webhook secret is only needed to check the request, never stored with the run
+    if (triggerNode.config && triggerNode.config.secret) {
+      secrets.add(triggerNode.config.secret);
+    }
+
+    // Sort the graph up front so a cycle fails before any node runs
+    orderedNodes = topologicalSort(nodes, edges);
     const adjacencyMap = buildAdjacencyMap(nodes, edges);
-    const executionData = {};
-    
-    // Start execution from trigger node
-    await executeNode(triggerNode, adjacencyMap, nodes, executionData);
+    const graph = {
+      nodes,
+      triggerNode,
+      orderedNodes,
+      upstreamMap: buildUpstreamMap(nodes, edges),
+      incomingEdges: orderIncomingEdges(buildIncomingEdgeMap(nodes, edges), orderedNodes),
+      reachable: findReachable(triggerNode.id, adjacencyMap),
+      loopBodies: findLoopBodies(nodes, edges, adjacencyMap)
+    };
+    const reused = preloadOutputs(orderedNodes, graph, options.previousOutputs, executionData);
+    const run = {
+      executionId,
+      ownerId: workflow.owner_id,
+      stepCount: 0,
+      secrets,
+      depth: options.depth || 0,
+      limiter: createLimiter(getWorkflowConcurrency(workflow)),
+      signal: controller.signal
+    };
+
+    await runNodes(orderedNodes, graph, {
+      executionData,
+      skipped: new Set(),
+      reused,
+      payload: options.payload,
+      iteration: null
+    }, run);
 
     // Log successful execution
-    await logExecution(workflowId, executionId, 'completed', null, executionData, startTime);
+    const storedData = redactSecrets(orderOutputs(orderedNodes, executionData), secrets);
+    await logExecution(executionId, 'completed', null, storedData, redactSecrets(snapshot, secrets), versionId);
 
     console.log(`✅ Workflow execution completed: ${workflowId}`);
     return {
       success: true,
       executionId,
-      executionData
+      executionData: storedData
     };
 
   } catch (error) {
-    console.error(`❌ Workflow execution failed: ${error.message}`);
-    await logExecution(workflowId, executionId, 'failed', error.message, null, startTime);
+    const cancelled = controller.signal.aborted;
+    const message = cancelled ? CANCELLED_MESSAGE : redactSecrets(error.message, secrets);
+
+    if (cancelled) {
+      console.log(`🛑 Workflow execution cancelled: ${workflowId}`);
+    } else {
+      console.error(`❌ Workflow execution failed: ${message}`);
+    }
+    // Outputs of the nodes that did finish, for retrying from the failure
+    const partialData = redactSecrets(orderOutputs(orderedNodes, executionData), secrets);
+    await logExecution(executionId, cancelled ? 'cancelled' : 'failed', message, partialData, redactSecrets(snapshot, secrets), versionId);
 
     return {
       success: false,
+      cancelled,
       executionId,
-      error: error.message
+      error: message
     };
+  } finally {
+    activeRuns.delete(executionId);
   }
 };
 
-// ========== BUILD ADJACENCY MAP ==========
-// Creates a graph structure showing which nodes connect to which
-function buildAdjacencyMap(nodes, edges) {
-  const map = {};
+// Rows saved together share created_at; the id breaks the tie, so the
+// topological order (and with it the order of join inputs) is the same every run
+async function fetchDefinition(workflowId) {
+  const { data: nodes } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  const { data: edges } = await supabase
+    .from('edges')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  return { nodes, edges: edges || [] };
+}
 
-  // Initialize empty arrays for each node
-  nodes.forEach(node => {
-    map[node.id] = [];
-  });
+// Nodes finish in any order; outputs are stored in topological order
+function orderOutputs(orderedNodes, executionData) {
+  return Object.fromEntries(
+    orderedNodes.filter(node => node.id in executionData).map(node => [node.id, executionData[node.id]])
+  );
+}
 
-  // Add connections from edges
-  edges.forEach(edge => {
-    map[edge.source_node_id].push(edge.target_node_id);
-  });
+// ========== RETRY FROM FAILURE ==========
+// Copies the outputs of nodes that completed in an earlier run into
+// executionData, so they are not run (and their side effects not repeated)
+// again. A node is only reused if everything upstream of it was reused or
+// skipped too - anything after a node that runs again runs again as well.
+// Returns the ids of the reused nodes.
+function preloadOutputs(orderedNodes, graph, previousOutputs, executionData) {
+  const reused = new Set();
+  if (!previousOutputs) return reused;
+
+  const isSettled = id => reused.has(id) || (previousOutputs[id] && previousOutputs[id].type === 'skipped');
+
+  for (const node of orderedNodes) {
+    const output = previousOutputs[node.id];
+    if (!output || output.type === 'skipped' || output.type === 'error') continue;
+    if (!graph.upstreamMap[node.id].every(isSettled)) continue;
+
+    executionData[node.id] = output;
+    reused.add(node.id);
+  }
 
-  return map;
+  return reused;
 }
 
-// ========== RECURSIVE NODE EXECUTION ==========
-// Executes a node and then recursively executes all connected nodes
-async function executeNode(node, adjacencyMap, nodes, executionData) {
-  console.log(`▶️ Executing node: ${node.label} (${node.node_type})`);
+// ========== SINGLE NODE TEST ==========
+// Runs one node's handler outside of a run, for trying it out in the editor.
+// Nothing is written: no execution row, no steps.
+//
+// Upstream outputs come from, in order of precedence:
+//   options.inputs          - supplied with the request, by node id or label
+//   pinned_output           - sample output pinned on the upstream node (unless usePinned is false)
+//   options.previousOutputs - the latest execution of the workflow
+// A pinned node returns its pinned output instead of running.
+// options.payload replaces $trigger.payload.
+export async function testNode(node, options = {}) {
+  const usePinned = options.usePinned !== false;
+  const { nodes, edges } = await fetchDefinition(node.workflow_id);
+  const byKey = new Map();
+  // Labels first so an id always wins, like buildScope
+  nodes.forEach(n => byKey.set(n.label, n));
+  nodes.forEach(n => byKey.set(n.id, n));
+
+  const outputs = {};
+  const sources = {};
+  const addOutput = (id, output, source) => {
+    outputs[id] = output;
+    sources[id] = source;
+  };
 
-  try {
-    let result = null;
-
-    // Execute based on node type
-    switch (node.node_type) {
-      case 'trigger':
-        result = executeTrigger(node);
-        break;
-      case 'data':
-        result = await executeDataNode(node, executionData);
-        break;
-      case 'transform':
-        result = executeTransform(node, executionData);
-        break;
-      case 'action':
-        result = executeAction(node, executionData);
-        break;
-      default:
-        throw new Error(`Unknown node type: ${node.node_type}`);
-    }
+  Object.entries(options.previousOutputs || {}).forEach(([id, output]) => addOutput(id, output, 'execution'));
+  if (usePinned) {
+    nodes.filter(n => n.pinned_output != null).forEach(n => addOutput(n.id, n.pinned_output, 'pinned'));
+  }
+  for (const [key, output] of Object.entries(options.inputs || {})) {
+    const upstreamNode = byKey.get(key);
+    if (!upstreamNode) throw new Error(`Unknown node "${key}" in inputs`);
+    addOutput(upstreamNode.id, output, 'request');
+  }
 
-    // Store result
-    executionData[node.id] = result;
-
-    // Get next nodes to execute
-    const connectedNodeIds = adjacencyMap[node.id];
-    
-    if (connectedNodeIds && connectedNodeIds.length > 0) {
-      for (const nextNodeId of connectedNodeIds) {
-        const nextNode = nodes.find(n => n.id === nextNodeId);
-        if (nextNode) {
-          await executeNode(nextNode, adjacencyMap, nodes, executionData);
-        }
-      }
+  const triggerNode = nodes.find(n => n.node_type === 'trigger');
+  if (triggerNode && options.payload !== undefined) {
+    addOutput(triggerNode.id, { ...outputs[triggerNode.id], type: 'trigger', payload: options.payload }, 'request');
+  }
+
+  const upstreamMap = buildUpstreamMap(nodes, edges);
+  const ancestorIds = findReachable(node.id, upstreamMap);
+  const ancestors = nodes.filter(n => n.id !== node.id && ancestorIds.has(n.id));
+  // Same input order as in a run
+  const incomingEdges = orderIncomingEdges(buildIncomingEdgeMap(nodes, edges), topologicalSort(nodes, edges))[node.id];
+  const inputs = {};
+  incomingEdges.map(edge => edge.source_node_id).filter(id => id in outputs).forEach(id => { inputs[id] = outputs[id]; });
+
+  const result = {
+    nodeId: node.id,
+    label: node.label,
+    inputs,
+    inputSources: Object.fromEntries(Object.keys(inputs).map(id => [id, sources[id]])),
+    // Connected nodes there was no output for
+    missingInputs: upstreamMap[node.id].filter(id => !(id in outputs)),
+    usedPinnedOutput: false
+  };
+
+  if (usePinned && node.pinned_output != null) {
+    return { ...result, success: true, usedPinnedOutput: true, output: node.pinned_output, durationMs: 0 };
+  }
+
+  const secrets = new Set();
+  const startedAt = Date.now();
+  const context = {
+    inputs,
+    scope: buildScope(ancestors, triggerNode, outputs),
+    executionData: outputs,
+    payload: options.payload,
+    signal: new AbortController().signal,
+    runLoopBody: () => {
+      throw new Error('Loop bodies are not run when testing a single node');
+    },
+    runSubWorkflow: () => {
+      throw new Error('Sub-workflows are not run when testing a single node');
     }
+  };
 
+  try {
+    const scope = await addCredentialScope(node, context.scope, secrets, node.owner_id);
+    result.config = resolveNodeConfig(node, scope);
+    // One attempt: a test shouldn't sit through the retry delays
+    const policy = { ...getErrorPolicy(result.config), attempts: 1 };
+    result.output = await executeWithRetry({ ...node, config: result.config }, context, policy, [], secrets);
+    result.success = true;
   } catch (error) {
-    console.error(`Error executing node ${node.id}: ${error.message}`);
-    throw error;
+    result.success = false;
+    result.error = error.message;
+    if (error.logs) result.logs = error.logs;
   }
+
+  result.durationMs = Date.now() - startedAt;
+  return redactSecrets(result, secrets);
 }
 
-// ========== NODE TYPE EXECUTION FUNCTIONS ==========
+// ========== CANCEL ==========
+// Aborts a run in progress: the running node's handler gets the abort signal,
+// nodes that haven't started are recorded as cancelled and the execution ends
+// with status "cancelled". A run still waiting in the queue is marked
+// cancelled right away and never starts.
+// Returns the execution's status after the request: 'cancelling' or
+// 'cancelled', or null if it had already finished.
+export async function requestCancellation(executionId) {
+  const controller = activeRuns.get(executionId);
+
+  if (controller) {
+    controller.abort();
+    return 'cancelling';
+  }
 
-function executeTrigger(node) {
-  console.log(`  📌 Trigger: ${node.config.type || 'scheduled'}`);
-  return {
-    type: 'trigger',
-    triggeredAt: new Date(),
-    config: node.config
-  };
+  // Only while it is still running - it may have finished since the caller looked
+  const { data, error } = await supabase
+    .from('executions')
+    .update({ status: 'cancelled', error_message: CANCELLED_MESSAGE, ended_at: new Date() })
+    .eq('id', executionId)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) throw new Error(error.message);
+
+  return data.length > 0 ? 'cancelled' : null;
 }
 
-async function executeDataNode(node, executionData) {
-  console.log(`  📊 Fetching data: ${node.config.source || 'unknown'}`);
-  
-  const source = node.config.source;
-  let data = {};
-
-  switch (source) {
-    case 'weather':
-      data = await fetchWeatherData(node.config);
-      break;
-    case 'calendar':
-      data = await fetchCalendarData(node.config);
-      break;
-    case 'github':
-      data = await fetchGithubData(node.config);
-      break;
-    default:
-      data = { message: 'Data source not configured' };
+async function wasCancelled(executionId) {
+  const { data } = await supabase
+    .from('executions')
+    .select('status')
+    .eq('id', executionId)
+    .single();
+
+  return Boolean(data) && data.status === 'cancelled';
+}
+
+// ========== RUN NODES ==========
+// Runs every node of the list that is reachable from the trigger. A node
+// starts as soon as all of its upstream nodes have finished, so independent
+// branches run side by side (within the limits in run.limiter and the global
+// limiter). A node only runs if at least one of its incoming branches was taken.
+//
+// Nodes inside a loop body are left to that loop (see runLoopBody), which
+// calls this again for the body with its own copy of the state.
+// Returns the output of the last node, in topological order, that ran.
+async function runNodes(nodeList, graph, state, run) {
+  const loopsInList = nodeList.filter(node => graph.loopBodies.has(node.id));
+  const candidates = nodeList.filter(node =>
+    graph.reachable.has(node.id) &&
+    !loopsInList.some(loop => loop.id !== node.id && graph.loopBodies.get(loop.id).has(node.id))
+  );
+  const candidateIds = new Set(candidates.map(node => node.id));
+  const finished = new Set();
+  const running = new Map();
+  const pending = [...candidates];
+  let failure = null;
+
+  const isReady = node => graph.upstreamMap[node.id].every(id => !candidateIds.has(id) || finished.has(id));
+
+  while (pending.length > 0 || running.size > 0) {
+    // Start everything that is ready, in topological order
+    for (const node of pending.filter(isReady)) {
+      if (failure || run.signal.aborted) break;
+
+      pending.splice(pending.indexOf(node), 1);
+      running.set(node.id, processNode(node, graph, state, run)
+        .catch(error => { failure = failure || error; })
+        .finally(() => {
+          finished.add(node.id);
+          running.delete(node.id);
+        }));
+    }
+
+    // After a failure, let the running nodes finish (and record their steps) but start nothing new
+    if (running.size === 0) break;
+    await Promise.race(running.values());
   }
 
-  return {
-    type: 'data',
-    source,
-    data,
-    fetchedAt: new Date()
-  };
+  if (run.signal.aborted) {
+    for (const node of pending) {
+      await recordStepWithoutRun(node, run, 'cancelled', { reason: CANCELLED_MESSAGE }, state.iteration);
+    }
+    throw new Error(CANCELLED_MESSAGE);
+  }
+  if (failure) throw failure;
+
+  const ran = candidates.filter(node => node.id in state.executionData && !state.skipped.has(node.id));
+  return ran.length > 0 ? state.executionData[ran[ran.length - 1].id] : null;
 }
 
-function executeTransform(node, executionData) {
-  console.log(`  🔄 Transforming data: ${node.config.type || 'unknown'}`);
-  
-  const transformType = node.config.type;
-  let result = {};
-
-  switch (transformType) {
-    case 'summarize':
-      result = summarizeData(executionData, node.config);
-      break;
-    case 'filter':
-      result = filterData(executionData, node.config);
-      break;
-    case 'combine':
-      result = combineData(executionData, node.config);
-      break;
-    default:
-      result = { transformed: executionData };
+// Skips the node if none of its incoming branches was taken, runs it otherwise
+async function processNode(node, graph, state, run) {
+  const { executionData, skipped } = state;
+
+  if (state.reused && state.reused.has(node.id)) {
+    await recordStepWithoutRun(node, run, 'reused', executionData[node.id], state.iteration);
+    return;
   }
+  const takenEdges = graph.incomingEdges[node.id].filter(edge => isEdgeTaken(edge, executionData, skipped));
 
-  return {
-    type: 'transform',
-    transformType,
-    result,
-    transformedAt: new Date()
-  };
+  if (node.id !== graph.triggerNode.id && takenEdges.length === 0) {
+    skipped.add(node.id);
+    executionData[node.id] = { type: 'skipped', reason: 'No incoming branch was taken' };
+    await recordStepWithoutRun(node, run, 'skipped', { reason: executionData[node.id].reason }, state.iteration);
+    return;
+  }
+
+  const ancestorIds = findReachable(node.id, graph.upstreamMap);
+  const ancestors = graph.nodes.filter(n =>
+    n.id !== node.id && ancestorIds.has(n.id) && !skipped.has(n.id)
+  );
+
+  const scope = buildScope(ancestors, graph.triggerNode, executionData);
+  if (state.iteration) {
+    scope.$item = state.iteration.item;
+    scope.$index = state.iteration.index;
+  }
+
+  executionData[node.id] = await runNode(node, {
+    inputs: collectInputs(takenEdges, executionData),
+    scope,
+    executionData,
+    payload: state.payload,
+    // Aborted when the execution is cancelled
+    signal: run.signal,
+    // Used by loop nodes to run their "body" branch
+    runLoopBody: (iterations, loopOptions) => withoutSlot(run, () =>
+      runLoopBody(node, iterations, loopOptions, graph, state, run)
+    ),
+    // Used by execute_workflow nodes
+    runSubWorkflow: (childWorkflowId, childOptions) => withoutSlot(run, () =>
+      runSubWorkflow(childWorkflowId, childOptions, run)
+    )
+  }, run, state.iteration);
+}
+
+// ========== CONCURRENCY LIMITS ==========
+// A running node holds one slot of its execution (workflow.max_concurrency,
+// default WORKFLOW_CONCURRENCY or 4) and one global slot shared by every
+// execution in this process (GLOBAL_NODE_CONCURRENCY, default 10).
+let globalLimiter = null;
+
+function getGlobalLimiter() {
+  if (!globalLimiter) {
+    globalLimiter = createLimiter(parseInt(process.env.GLOBAL_NODE_CONCURRENCY) || DEFAULT_GLOBAL_CONCURRENCY);
+  }
+  return globalLimiter;
+}
+
+function getWorkflowConcurrency(workflow) {
+  return workflow.max_concurrency || parseInt(process.env.WORKFLOW_CONCURRENCY) || DEFAULT_WORKFLOW_CONCURRENCY;
 }
 
-function executeAction(node, executionData) {
-  console.log(`  ✉️ Action: ${node.config.type || 'unknown'}`);
-  
-  const actionType = node.config.type;
-  let result = {};
-
-  switch (actionType) {
-    case 'email':
-      result = sendEmail(node.config, executionData);
-      break;
-    case 'sms':
-      result = sendSMS(node.config, executionData);
-      break;
-    case 'post':
-      result = postToSocial(node.config, executionData);
-      break;
-    default:
-      result = { message: 'Action not configured' };
+async function acquireSlot(run) {
+  await run.limiter.acquire();
+  await getGlobalLimiter().acquire();
+}
+
+function releaseSlot(run) {
+  getGlobalLimiter().release();
+  run.limiter.release();
+}
+
+// Loop and sub-workflow nodes wait on other nodes, so they give their slot
+// back while they wait - otherwise they could hold every slot and deadlock
+async function withoutSlot(run, fn) {
+  releaseSlot(run);
+  try {
+    return await fn();
+  } finally {
+    await acquireSlot(run);
+  }
+}
+
+// ========== LOOPS ==========
+// The body of a loop node is everything downstream of its "body" handle
+function findLoopBodies(nodes, edges, adjacencyMap) {
+  const bodies = new Map();
+
+  nodes.filter(node => node.node_type === 'loop').forEach(loop => {
+    const body = new Set();
+    edges
+      .filter(edge => edge.source_node_id === loop.id && edge.source_handle === 'body')
+      .forEach(edge => findReachable(edge.target_node_id, adjacencyMap).forEach(id => body.add(id)));
+    bodies.set(loop.id, body);
+  });
+
+  return bodies;
+}
+
+// Runs the loop's body once per iteration, `concurrency` at a time.
+// Each iteration sees the loop's output as { item, index } and gets $item /
+// $index in expressions. Returns the output of the last body node that ran
+// in each iteration, in iteration order.
+async function runLoopBody(loopNode, iterations, loopOptions, graph, state, run) {
+  const body = graph.loopBodies.get(loopNode.id) || new Set();
+  const bodyNodes = graph.orderedNodes.filter(node => body.has(node.id));
+
+  return mapWithConcurrency(iterations, loopOptions.concurrency || 1, (item, index) => runNodes(bodyNodes, graph, {
+    executionData: {
+      ...state.executionData,
+      [loopNode.id]: { type: 'loop', outcome: 'body', item, index }
+    },
+    skipped: new Set(state.skipped),
+    payload: state.payload,
+    iteration: { loopNodeId: loopNode.id, index, item }
+  }, run));
+}
+
+// ========== SUB-WORKFLOWS ==========
+// Runs another workflow as a child of this execution. SUBWORKFLOW_MAX_DEPTH
+// (default 5) caps how deep workflows may call each other. Only workflows of
+// the same owner can be called.
+//
+// wait: true runs the child right here, in this worker - queueing it and
+// waiting could deadlock once every worker is a parent waiting on a child.
+// wait: false queues the child and moves on.
+async function runSubWorkflow(workflowId, { payload, wait }, run) {
+  const depth = run.depth + 1;
+  const maxDepth = parseInt(process.env.SUBWORKFLOW_MAX_DEPTH) || DEFAULT_MAX_DEPTH;
+
+  if (depth > maxDepth) {
+    throw new Error(`Maximum sub-workflow depth (${maxDepth}) reached`);
+  }
+
+  // Checked before the child's execution is created, so nothing is written
+  // into another user's history
+  const { data: child } = await supabase
+    .from('workflows')
+    .select('id')
+    .eq('id', workflowId)
+    .eq('owner_id', run.ownerId)
+    .single();
+
+  if (!child) {
+    throw new Error(`Workflow "${workflowId}" not found`);
+  }
+
+  const childOptions = { payload, parentExecutionId: run.executionId, depth };
+
+  if (!wait) {
+    const executionId = await enqueueExecution(workflowId, childOptions);
+    return { executionId, status: 'running' };
+  }
+
+  // A child we wait for is cancelled along with this run
+  const result = await executeWorkflow(workflowId, { ...childOptions, signal: run.signal });
+
+  if (!result.success) {
+    throw new Error(`Sub-workflow failed (execution ${result.executionId}): ${result.error}`);
   }
 
   return {
-    type: 'action',
-    actionType,
-    result,
-    actionTime: new Date()
+    executionId: result.executionId,
+    status: 'completed',
+    output: findReturnValue(result.executionData)
   };
 }
 
-// ========== DATA SOURCE HANDLERS ==========
-// These are placeholder functions - replace with real API calls
+// The value of the last "return" action that ran in a child workflow, if any
+function findReturnValue(executionData) {
+  const returns = Object.values(executionData || {})
+    .filter(output => output.type === 'action' && output.actionType === 'return');
+
+  return returns.length > 0 ? returns[returns.length - 1].result.value : null;
+}
+
+// ========== BRANCH ROUTING ==========
+// An edge is taken when its source ran and, for router nodes such as
+// conditions, the edge's source_handle matches the outcome the node picked.
+// Edges on the "error" handle are only taken when the node failed with onError: 'route'.
+// A node that failed with onError: 'continue' carries on along its main
+// output only; a router has none, so none of its branches run.
+function isEdgeTaken(edge, executionData, skipped) {
+  const sourceId = edge.source_node_id;
+  if (!(sourceId in executionData) || skipped.has(sourceId)) return false;
+
+  const result = executionData[sourceId];
+  if (result.outcome !== undefined) {
+    return edge.source_handle === result.outcome;
+  }
+
+  if (result.type === 'error') {
+    return !edge.source_handle || edge.source_handle === 'main';
+  }
 
-async function fetchWeatherData(config) {
-  // TODO: Replace with actual weather API call
-  return { temp: 72, condition: 'Sunny' };
+  return edge.source_handle !== 'error';
 }
 
-async function fetchCalendarData(config) {
-  // TODO: Replace with actual calendar API call
-  return { events: [] };
+// ========== COLLECT INPUTS ==========
+// Sorts each node's incoming edges by the topological position of their
+// source, the order join nodes (combine, merge) get their inputs in
+function orderIncomingEdges(incomingEdges, orderedNodes) {
+  const position = new Map(orderedNodes.map((node, index) => [node.id, index]));
+  const bySource = (a, b) => position.get(a.source_node_id) - position.get(b.source_node_id);
+
+  return Object.fromEntries(
+    Object.entries(incomingEdges).map(([id, edges]) => [id, [...edges].sort(bySource)])
+  );
 }
 
-async function fetchGithubData(config) {
-  // TODO: Replace with actual GitHub API call
-  return { commits: [], prs: [] };
+// Gathers the outputs of the upstream nodes on taken edges, keyed by node id.
+// Join nodes get one entry per incoming branch.
+function collectInputs(takenEdges, executionData) {
+  const inputs = {};
+
+  for (const edge of takenEdges) {
+    inputs[edge.source_node_id] = executionData[edge.source_node_id];
+  }
+
+  return inputs;
 }
 
-// ========== TRANSFORM HANDLERS ==========
+// ========== RUN NODE ==========
+// Resolves the node's config expressions, executes it (with retries and a
+// timeout if configured) and records the run as an execution step.
+//
+// When every attempt fails, config.onError decides what happens:
+//   stop     - fail the whole workflow (default)
+//   continue - keep the error as the node's output and carry on
+//   route    - only follow edges leaving the node's "error" handle
+async function runNode(node, context, run, iteration) {
+  await acquireSlot(run);
+
+  const step = {
+    execution_id: run.executionId,
+    node_id: node.id,
+    node_label: node.label,
+    node_type: node.node_type,
+    step_index: run.stepCount++,
+    ...iterationFields(iteration),
+    input: context.inputs,
+    attempts: [],
+    started_at: new Date()
+  };
+
+  let policy;
+
+  try {
+    // onError applies to failed expressions too; retry and timeoutMs may be
+    // expressions themselves, so the full policy is read once they are resolved
+    policy = getErrorPolicy({ onError: (node.config || {}).onError });
+    const scope = await addCredentialScope(node, context.scope, run.secrets, run.ownerId);
+    step.config = resolveNodeConfig(node, scope);
+    policy = getErrorPolicy(step.config);
+    step.output = await executeWithRetry({ ...node, config: step.config }, context, policy, step.attempts, run.secrets);
+    step.status = 'success';
+    return step.output;
+  } catch (error) {
+    if (run.signal.aborted) {
+      step.status = 'cancelled';
+      step.error_message = CANCELLED_MESSAGE;
+      throw new Error(CANCELLED_MESSAGE);
+    }
+
+    step.status = 'failed';
+    step.error_message = error.message;
+
+    if (policy && policy.onError !== 'stop') {
+      console.log(`  ⚠️ Node "${node.label}" failed, continuing (onError: ${policy.onError})`);
+      step.output = {
+        type: 'error',
+        error: error.message,
+        failedAt: new Date(),
+        // 'error' is the handle that route mode follows
+        ...(policy.onError === 'route' && { outcome: 'error' })
+      };
+      return step.output;
+    }
 
-function summarizeData(executionData, config) {
-  return { summary: JSON.stringify(executionData) };
+    throw new Error(`Node "${node.label}": ${error.message}`);
+  } finally {
+    step.ended_at = new Date();
+    releaseSlot(run);
+    await recordStep(redactSecrets(step, run.secrets));
+  }
 }
 
-function filterData(executionData, config) {
-  return { filtered: executionData };
+// Resolves {{ expressions }} in the config, except in the fields the node
+// resolves itself for every item (e.g. map fields, where $item is the
+// mapped item and not the item of a surrounding loop).
+// Fields saved as expressions are checked against the schema once resolved.
+function resolveNodeConfig(node, scope) {
+  const config = node.config || {};
+  const perItemKeys = getPerItemConfigKeys(node.node_type, config);
+  const resolved = resolveConfig(
+    Object.fromEntries(Object.entries(config).filter(([key]) => !perItemKeys.includes(key))),
+    scope
+  );
+
+  perItemKeys.forEach(key => {
+    if (key in config) resolved[key] = config[key];
+  });
+
+  const errors = validateNodeConfig(node.node_type, resolved);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config after resolving expressions: ${errors.join('; ')}`);
+  }
+
+  return resolved;
 }
 
-function combineData(executionData, config) {
-  return { combined: executionData };
+// ========== CREDENTIALS ==========
+// A node with config.credentialId gets the decrypted credential as {{ $credential }}.
+// Only that node sees it; its values are added to the run's secrets for redaction.
+// The credential must belong to the owner of the workflow.
+async function addCredentialScope(node, scope, secrets, ownerId) {
+  const credentialId = node.config && node.config.credentialId;
+  if (!credentialId) return scope;
+
+  const credential = await loadCredential(credentialId, ownerId);
+  collectSecrets(credential.data).forEach(secret => secrets.add(secret));
+
+  return { ...scope, $credential: credential.data };
 }
 
-// ========== ACTION HANDLERS ==========
-// These are placeholder functions - replace with real service calls
+// Runs a node up to policy.attempts times. Each attempt is pushed onto attempts.
+async function executeWithRetry(node, context, policy, attempts, secrets) {
+  for (let attempt = 1; ; attempt++) {
+    const record = { attempt, started_at: new Date() };
+    attempts.push(record);
+
+    try {
+      const output = await runAttempt(
+        signal => executeNode(node, { ...context, signal }, secrets),
+        { signal: context.signal, ms: policy.timeoutMs, message: `Timed out after ${policy.timeoutMs}ms` }
+      );
+      record.status = 'success';
+      return output;
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      // Console output of a failed code node
+      if (error.logs) record.logs = error.logs;
+
+      if (attempt >= policy.attempts || context.signal.aborted) {
+        throw error;
+      }
 
-function sendEmail(config, executionData) {
-  // TODO: Replace with actual SendGrid/email service call
-  console.log(`📧 Sending email to: ${config.to}`);
-  return { sent: true, to: config.to };
+      const delay = getRetryDelay(policy, attempt);
+      console.log(`  🔁 Retrying "${node.label}" in ${delay}ms (attempt ${attempt + 1}/${policy.attempts})`);
+      await sleep(delay, context.signal);
+    } finally {
+      record.ended_at = new Date();
+    }
+  }
 }
 
-function sendSMS(config, executionData) {
-  // TODO: Replace with actual Twilio/SMS service call
-  console.log(`📱 Sending SMS to: ${config.phone}`);
-  return { sent: true, phone: config.phone };
+// Records a node that didn't run: 'skipped' (branch not taken), 'cancelled',
+// or 'reused' (output taken from the execution being retried)
+async function recordStepWithoutRun(node, run, status, output, iteration) {
+  const now = new Date();
+
+  await recordStep({
+    execution_id: run.executionId,
+    node_id: node.id,
+    node_label: node.label,
+    node_type: node.node_type,
+    step_index: run.stepCount++,
+    ...iterationFields(iteration),
+    status,
+    output,
+    started_at: now,
+    ended_at: now
+  });
+}
+
+// Steps inside a loop body say which loop and iteration they belong to
+function iterationFields(iteration) {
+  return iteration ? { loop_node_id: iteration.loopNodeId, iteration: iteration.index } : {};
 }
 
-function postToSocial(config, executionData) {
-  // TODO: Replace with actual social media API calls
-  console.log(`📢 Posting to: ${config.platform}`);
-  return { posted: true, platform: config.platform };
+// ========== NODE EXECUTION ==========
+// Executes a node whose config has already been resolved and returns its result.
+// The handler comes from the node type registry (src/nodes).
+async function executeNode(node, context, secrets) {
+  console.log(`▶️ Executing node: ${node.label} (${node.node_type})`);
+
+  try {
+    return await executeNodeType(node, context);
+  } catch (error) {
+    console.error(`Error executing node ${node.id}: ${redactSecrets(error.message, secrets)}`);
+    throw error;
+  }
 }
 
 // ========== LOGGING ==========
 
-async function logExecution(workflowId, executionId, status, errorMessage, executionData, startTime) {
-  const endTime = new Date();
-  
+// Creates the execution row up front so the run shows as "running" until it finishes
+// options.parentExecutionId links a sub-workflow run to the run that started it,
+// options.retryOf a retry to the execution it retries
+export async function createExecutionRecord(workflowId, options = {}) {
+  const executionId = uuidv4();
+
   const { error } = await supabase
     .from('executions')
     .insert([{
       id: executionId,
       workflow_id: workflowId,
+      status: 'running',
+      started_at: new Date(),
+      ...(options.parentExecutionId && { parent_execution_id: options.parentExecutionId }),
+      ...(options.retryOf && { retry_of: options.retryOf })
+    }]);
+
+  if (error) {
+    throw new Error(`Failed to create execution: ${error.message}`);
+  }
+
+  return executionId;
+}
+
+async function logExecution(executionId, status, errorMessage, executionData, snapshot, versionId) {
+  const { error } = await supabase
+    .from('executions')
+    .update({
       status,
       error_message: errorMessage,
       execution_data: executionData,
-      started_at: startTime,
-      ended_at: endTime
-    }]);
+      ended_at: new Date(),
+      ...(snapshot && { snapshot }),
+      ...(versionId && { version_id: versionId })
+    })
+    .eq('id', executionId);
 
   if (error) {
     console.error('Failed to log execution:', error.message);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,144 @@
+// src/services/executionQueue.js
+// Job queue + worker pool for asynchronous workflow runs
+//
+// The run endpoint enqueues a job and returns right away; workers inside
+// this process pull jobs off the queue and run them through the engine.
+//
+// A queue is any object with:
+//   enqueue(job)  → Promise, adds a job to the back of the queue
+//   dequeue()     → Promise<job>, resolves with the next job (waits while empty)
+//   size()        → number of jobs waiting
+// createMemoryQueue() is the in-process implementation. Something backed by
+// Redis or Postgres can be dropped in by passing it to startExecutionWorkers().
+
+import { EventEmitter } from 'events';
+import supabase from '../utils/supabaseClient.js';
+import { executeWorkflow, createExecutionRecord } from './executionEngine.js';
+
+const INTERRUPTED_MESSAGE = 'Interrupted: the server restarted before the run finished';
+
+// ========== IN-MEMORY QUEUE ==========
+export function createMemoryQueue() {
+  const jobs = [];
+  const waiting = [];
+
+  return {
+    async enqueue(job) {
+      // Hand the job straight to an idle worker if one is waiting
+      const resolve = waiting.shift();
+      if (resolve) {
+        resolve(job);
+      } else {
+        jobs.push(job);
+      }
+    },
+
+    dequeue() {
+      if (jobs.length > 0) {
+        return Promise.resolve(jobs.shift());
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+
+    size() {
+      return jobs.length;
+    }
+  };
+}
+
+// ========== WORKER POOL ==========
+// Each worker loops forever: take a job, run it, take the next one.
+// handler errors are logged and never stop the worker.
+export function startWorkerPool(queue, workerCount, handler) {
+  const workers = [];
+
+  for (let i = 0; i < workerCount; i++) {
+    const worker = (async () => {
+      while (true) {
+        const job = await queue.dequeue();
+        try {
+          await handler(job);
+        } catch (error) {
+          console.error(`Worker ${i + 1} failed to process job: ${error.message}`);
+        }
+      }
+    })();
+    workers.push(worker);
+  }
+
+  return workers;
+}
+
+// ========== EXECUTION QUEUE ==========
+let executionQueue = createMemoryQueue();
+
+// Workers announce finished runs here (event name = execution id)
+const completions = new EventEmitter();
+completions.setMaxListeners(0);
+
+// Call once at server start, before the scheduler. EXECUTION_WORKERS
+// controls how many workflows can run at the same time (default 2).
+export async function startExecutionWorkers(options = {}) {
+  if (options.queue) {
+    executionQueue = options.queue;
+  } else {
+    await failInterruptedExecutions();
+  }
+
+  const workerCount = options.workerCount || parseInt(process.env.EXECUTION_WORKERS) || 2;
+
+  startWorkerPool(executionQueue, workerCount, async job => {
+    const result = await executeWorkflow(job.workflowId, { ...job.options, executionId: job.executionId });
+    completions.emit(job.executionId, result);
+  });
+
+  console.log(`⚙️ Execution workers started: ${workerCount}`);
+}
+
+// The in-memory queue and the runs in progress die with the process. Their
+// executions would stay "running" forever - and keep the scheduler from
+// ever starting the workflow again - so they are marked failed (and can be
+// retried from the failure).
+async function failInterruptedExecutions() {
+  const { data, error } = await supabase
+    .from('executions')
+    .update({ status: 'failed', error_message: INTERRUPTED_MESSAGE, ended_at: new Date() })
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    console.error('Failed to clean up interrupted executions:', error.message);
+    return;
+  }
+
+  if (data.length > 0) {
+    console.log(`🧹 Marked ${data.length} interrupted execution(s) as failed`);
+  }
+}
+
+// Writes a "running" execution row and queues the run.
+// Returns the execution id so callers can poll for the result.
+export async function enqueueExecution(workflowId, options = {}) {
+  const executionId = await createExecutionRecord(workflowId, options);
+
+  await executionQueue.enqueue({ executionId, workflowId, options });
+
+  return executionId;
+}
+
+// Queues a run like enqueueExecution, but also returns a promise that
+// resolves with the engine's result once a worker has finished it
+export async function enqueueAndWait(workflowId, options = {}) {
+  const executionId = await createExecutionRecord(workflowId, options);
+
+  // Listen before queueing so a fast run can't finish unnoticed
+  const completion = new Promise(resolve => completions.once(executionId, resolve));
+
+  await executionQueue.enqueue({ executionId, workflowId, options });
+
+  return { executionId, completion };
+}
+
+export function getQueueSize() {
+  return executionQueue.size();
+}
@@ -0,0 +1,70 @@
+// src/services/executionSteps.js
+// Per-node step records for executions
+// Every node run (or skip) is written to the execution_steps table
+
+import supabase from '../utils/supabaseClient.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// ========== RECORD STEP ==========
+// Saves one step. Failing to write a step is logged but never fails the run.
+export async function recordStep(step) {
+  const { error } = await supabase
+    .from('execution_steps')
+    .insert([{
+      id: uuidv4(),
+      ...step
+    }]);
+
+  if (error) {
+    console.error(`Failed to record step for node ${step.node_id}:`, error.message);
+  }
+}
+
+// ========== SUMMARY ==========
+// Condenses a list of step rows into counts plus the nodes that failed
+export function summarizeSteps(steps) {
+  const count = status => steps.filter(step => step.status === status).length;
+
+  return {
+    total: steps.length,
+    success: count('success'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    cancelled: count('cancelled'),
+    reused: count('reused'),
+    failedNodes: steps
+      .filter(step => step.status === 'failed')
+      .map(step => ({
+        nodeId: step.node_id,
+        label: step.node_label,
+        error: step.error_message
+      }))
+  };
+}
+
+// ========== OVERLAP ==========
+// Adds overlapsWith (step_index of every step that was running at the same
+// time) to each step, so parallel branches are visible. Loop steps are left
+// out: they span their whole body, which would overlap with everything.
+// Skipped and reused steps never ran, so they are left out too.
+export function markOverlaps(steps) {
+  const timed = steps.filter(step =>
+    !['skipped', 'reused'].includes(step.status) && step.node_type !== 'loop' && step.started_at && step.ended_at
+  );
+  const interval = step => [new Date(step.started_at).getTime(), new Date(step.ended_at).getTime()];
+
+  return steps.map(step => {
+    if (!timed.includes(step)) return step;
+
+    const [start, end] = interval(step);
+    const overlapsWith = timed
+      .filter(other => {
+        if (other === step) return false;
+        const [otherStart, otherEnd] = interval(other);
+        return start < otherEnd && otherStart < end;
+      })
+      .map(other => other.step_index);
+
+    return { ...step, overlapsWith };
+  });
+}
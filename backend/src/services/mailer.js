@@ -0,0 +1,136 @@
+// src/services/mailer.js
+// Sends email for the email action through a pluggable transport
+//
+// EMAIL_TRANSPORT picks the transport:
+//   smtp    (default) - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   capture - keeps messages in memory instead of sending them (for tests)
+//
+// A provider can be added with registerEmailTransport:
+//   registerEmailTransport('sendgrid', () => ({
+//     async send(message, { signal }) { ...; return { messageId, accepted, rejected }; }
+//   }));
+// signal aborts when the node's attempt times out or the run is cancelled.
+//
+// message: { from, to, cc, bcc, replyTo, subject, text, html, attachments }
+// attachments: [{ filename, content (string or Buffer), contentType }]
+
+import net from 'net';
+import nodemailer from 'nodemailer';
+
+const transportFactories = new Map();
+const transports = new Map();
+const capturedEmails = [];
+
+export function registerEmailTransport(name, factory) {
+  transportFactories.set(name, factory);
+  transports.delete(name);
+}
+
+// The transport named by EMAIL_TRANSPORT, created on first use
+export function getEmailTransport(name = process.env.EMAIL_TRANSPORT || 'smtp') {
+  if (!transports.has(name)) {
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown email transport "${name}". Must be one of: ${[...transportFactories.keys()].join(', ')}`);
+    }
+    transports.set(name, { name, ...factory() });
+  }
+  return transports.get(name);
+}
+
+export async function sendEmail(message, { signal } = {}) {
+  const transport = getEmailTransport();
+  const from = message.from || process.env.EMAIL_FROM;
+
+  if (!from) {
+    throw new Error('No sender address. Set config.from or EMAIL_FROM');
+  }
+
+  // An attempt that already timed out must not send
+  if (signal && signal.aborted) {
+    throw new Error('Email was not sent: the attempt was aborted');
+  }
+
+  const info = await transport.send({ ...message, from }, { signal });
+
+  return {
+    transport: transport.name,
+    messageId: info.messageId,
+    accepted: info.accepted || [],
+    rejected: info.rejected || []
+  };
+}
+
+// ========== SMTP ==========
+
+registerEmailTransport('smtp', () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 587);
+  const options = {
+    host,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    // Local sinks (MailHog, smtp4dev, ...) usually run without auth
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  };
+
+  return {
+    // Each send opens its own connection and closes it when signal aborts,
+    // so a timed-out attempt can't still deliver next to its retry
+    async send(message, { signal } = {}) {
+      let socket;
+      const onAbort = () => socket && socket.destroy();
+      const client = nodemailer.createTransport({
+        ...options,
+        getSocket(socketOptions, callback) {
+          if (signal && signal.aborted) {
+            return callback(new Error('Email was not sent: the attempt was aborted'));
+          }
+          socket = net.connect(port, host);
+          socket.once('error', callback);
+          socket.once('connect', () => {
+            socket.removeListener('error', callback);
+            callback(null, { connection: socket });
+          });
+        }
+      });
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      try {
+        const info = await client.sendMail(message);
+        return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw new Error('Email sending was aborted: the attempt timed out or the run was cancelled');
+        }
+        throw error;
+      } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+});
+
+// ========== CAPTURE ==========
+
+registerEmailTransport('capture', () => ({
+  async send(message) {
+    const messageId = `<captured-${capturedEmails.length + 1}-${Date.now()}@localhost>`;
+    capturedEmails.push({ ...message, messageId, capturedAt: new Date() });
+    return { messageId, accepted: [message.to, message.cc, message.bcc].flat().filter(Boolean), rejected: [] };
+  }
+}));
+
+export function getCapturedEmails() {
+  return [...capturedEmails];
+}
+
+export function clearCapturedEmails() {
+  capturedEmails.length = 0;
+}
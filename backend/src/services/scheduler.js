@@ -0,0 +1,176 @@
+// src/services/scheduler.js
+// Fires workflows whose trigger is scheduled with a cron expression
+//
+// Trigger config:
+//   { "type": "scheduled", "cron": "0 8 * * 1-5", "timezone": "Africa/Accra" }
+//
+// Each scheduled workflow gets one timer set for its next run. When it
+// fires, the run is queued like any other and the next timer is set.
+// Controllers call refreshSchedule() whenever a workflow or trigger changes.
+
+import supabase from '../utils/supabaseClient.js';
+import { getDefaultTimezone, getNextRunTime } from '../utils/cron.js';
+import { enqueueExecution } from './executionQueue.js';
+
+// setTimeout can't wait longer than this (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// workflowId → { cron, timezone, nextRunAt, lastRunAt, timer }
+const schedules = new Map();
+
+// ========== HELPERS ==========
+
+export function isScheduledTrigger(node) {
+  return node.node_type === 'trigger' && node.config && node.config.type === 'scheduled';
+}
+
+// ========== START ==========
+// Loads every enabled workflow with a scheduled trigger. Call once at startup.
+export async function startScheduler() {
+  const { data: workflows, error } = await supabase
+    .from('workflows')
+    .select('id')
+    .eq('enabled', true);
+
+  if (error) {
+    console.error('Failed to start scheduler:', error.message);
+    return;
+  }
+
+  for (const workflow of workflows) {
+    await refreshSchedule(workflow.id);
+  }
+
+  console.log(`⏰ Scheduler started: ${schedules.size} scheduled workflow(s)`);
+}
+
+// ========== REFRESH ==========
+// Re-reads a workflow and its trigger and (re)sets or clears its timer
+export async function refreshSchedule(workflowId) {
+  unschedule(workflowId);
+
+  const { data: workflow } = await supabase
+    .from('workflows')
+    .select('id, enabled')
+    .eq('id', workflowId)
+    .single();
+
+  if (!workflow || !workflow.enabled) return;
+
+  const { data: triggers, error } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .eq('node_type', 'trigger');
+
+  if (error) {
+    console.error(`Failed to load trigger for workflow ${workflowId}:`, error.message);
+    return;
+  }
+
+  // The engine starts from the first trigger, so that's the one we schedule
+  const trigger = triggers[0];
+  if (!trigger || !isScheduledTrigger(trigger) || !trigger.config.cron) return;
+
+  const entry = {
+    cron: trigger.config.cron,
+    timezone: trigger.config.timezone || getDefaultTimezone(),
+    nextRunAt: null,
+    lastRunAt: null,
+    timer: null
+  };
+
+  try {
+    // Another refresh may have finished while we were querying
+    unschedule(workflowId);
+    schedules.set(workflowId, entry);
+    scheduleNext(workflowId, entry);
+  } catch (error) {
+    schedules.delete(workflowId);
+    console.error(`Not scheduling workflow ${workflowId}: ${error.message}`);
+  }
+}
+
+export function unschedule(workflowId) {
+  const entry = schedules.get(workflowId);
+  if (entry) {
+    clearTimeout(entry.timer);
+    schedules.delete(workflowId);
+  }
+}
+
+// ========== TIMERS ==========
+
+function scheduleNext(workflowId, entry) {
+  entry.nextRunAt = getNextRunTime(entry.cron, entry.timezone);
+  setTimer(workflowId, entry);
+}
+
+function setTimer(workflowId, entry) {
+  const delay = entry.nextRunAt.getTime() - Date.now();
+
+  // Long waits are split into chunks setTimeout can handle
+  if (delay > MAX_TIMER_DELAY) {
+    entry.timer = setTimeout(() => setTimer(workflowId, entry), MAX_TIMER_DELAY);
+    return;
+  }
+
+  entry.timer = setTimeout(() => fire(workflowId, entry), Math.max(delay, 0));
+}
+
+async function fire(workflowId, entry) {
+  // The entry may have been replaced while the timer was pending
+  if (schedules.get(workflowId) !== entry) return;
+
+  const scheduledAt = entry.nextRunAt;
+  entry.lastRunAt = scheduledAt;
+
+  // Set the next timer first so a slow run never makes us miss one
+  scheduleNext(workflowId, entry);
+
+  try {
+    // Never overlap runs - skip this tick if the last one hasn't finished
+    const { data: running, error } = await supabase
+      .from('executions')
+      .select('id')
+      .eq('workflow_id', workflowId)
+      .eq('status', 'running');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (running.length > 0) {
+      console.log(`⏭️ Skipping scheduled run of ${workflowId}: previous run still in progress`);
+      return;
+    }
+
+    const executionId = await enqueueExecution(workflowId, {
+      payload: { scheduledAt: scheduledAt.toISOString() }
+    });
+    console.log(`⏰ Scheduled run queued for workflow ${workflowId}: ${executionId}`);
+  } catch (error) {
+    console.error(`Scheduled run of ${workflowId} failed to start: ${error.message}`);
+  }
+}
+
+// ========== STATUS ==========
+
+export function getSchedule(workflowId) {
+  const entry = schedules.get(workflowId);
+  if (!entry) return null;
+
+  return {
+    workflowId,
+    cron: entry.cron,
+    timezone: entry.timezone,
+    nextRunAt: entry.nextRunAt,
+    lastRunAt: entry.lastRunAt
+  };
+}
+
+export function listSchedules() {
+  return [...schedules.keys()]
+    .map(getSchedule)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt);
+}
@@ -0,0 +1,190 @@
+// src/services/workflowGraph.js
+// Saves a whole workflow graph at once (PUT /api/workflows/:id/graph)
+//
+// The editor sends the complete document:
+//   { revision, nodes: [{ id, node_type, label, config, position_x, position_y }],
+//     edges: [{ id?, source_node_id, target_node_id, source_handle }] }
+//
+// Node ids that aren't stored yet are treated as temporary ids picked by the
+// client: the node gets a real id and idMap says which (edgeIdMap does the
+// same for new edges). Edges and $node["<id>"] references in configs may use
+// temporary node ids; they are rewritten to the real ones. The diff
+// against the stored rows is applied by the save_workflow_graph database
+// function (migrations/010), in one transaction.
+
+import { v4 as uuidv4 } from 'uuid';
+import supabase from '../utils/supabaseClient.js';
+import { validateGraph } from './workflowValidation.js';
+import { renameNodeReferences } from '../utils/expressions.js';
+
+const NODE_FIELDS = ['node_type', 'label', 'config', 'position_x', 'position_y', 'pinned_output'];
+const EDGE_FIELDS = ['source_node_id', 'target_node_id', 'source_handle'];
+
+// Errors that don't block saving: a canvas is often saved before it has a trigger
+const SAVEABLE_ERRORS = ['missing_trigger'];
+
+// Works out what has to change to turn the stored rows into the document.
+// Returns { errors } if the document can't be saved.
+export function planGraphSave(storedNodes, storedEdges, document) {
+  const errors = checkDocument(document);
+  if (errors.length > 0) return { errors };
+
+  const storedNodesById = new Map(storedNodes.map(node => [node.id, node]));
+  const storedEdgesById = new Map(storedEdges.map(edge => [edge.id, edge]));
+  const idMap = {};
+  document.nodes.forEach(node => {
+    if (!storedNodesById.has(node.id)) idMap[node.id] = uuidv4();
+  });
+
+  const nodes = document.nodes.map(node => {
+    const stored = storedNodesById.get(node.id);
+    const id = idMap[node.id] || node.id;
+
+    return {
+      id,
+      node_type: node.node_type,
+      label: node.label,
+      config: renameNodeReferences(node.config || {}, idMap),
+      position_x: node.position_x || 0,
+      position_y: node.position_y || 0,
+      // Leaving pinned_output out keeps whatever is pinned
+      pinned_output: 'pinned_output' in node ? node.pinned_output : (stored ? stored.pinned_output ?? null : null)
+    };
+  });
+
+  const edgeIdMap = {};
+  const toNodeId = id => idMap[id] || id;
+  const edgeKey = edge => `${edge.source_node_id}|${edge.target_node_id}|${edge.source_handle || ''}`;
+  const storedEdgesByKey = new Map(storedEdges.map(edge => [edgeKey(edge), edge]));
+
+  const edges = document.edges.map(edge => {
+    const mapped = {
+      source_node_id: toNodeId(edge.source_node_id),
+      target_node_id: toNodeId(edge.target_node_id),
+      source_handle: edge.source_handle || null
+    };
+    // Edges without a stored id keep the id of an identical stored edge
+    const stored = storedEdgesById.get(edge.id) || storedEdgesByKey.get(edgeKey(mapped));
+    const id = stored ? stored.id : uuidv4();
+    if (!stored && edge.id) edgeIdMap[edge.id] = id;
+    return { id, ...mapped };
+  });
+
+  const validation = validateGraph(nodes, edges);
+  const blocking = validation.errors.filter(issue => !SAVEABLE_ERRORS.includes(issue.code));
+  if (blocking.length > 0) {
+    return { errors: blocking.map(issue => ({ ...issue, ...reverseIds(issue, idMap, edgeIdMap) })) };
+  }
+
+  const keptNodeIds = new Set(nodes.map(node => node.id));
+  const keptEdgeIds = new Set(edges.map(edge => edge.id));
+  const isChanged = (fields, stored, row) =>
+    !stored || fields.some(field => JSON.stringify(stored[field] ?? null) !== JSON.stringify(row[field] ?? null));
+
+  const upsertNodes = nodes.filter(node => isChanged(NODE_FIELDS, storedNodesById.get(node.id), node));
+  const upsertEdges = edges.filter(edge => isChanged(EDGE_FIELDS, storedEdgesById.get(edge.id), edge));
+  const deleteNodeIds = storedNodes.filter(node => !keptNodeIds.has(node.id)).map(node => node.id);
+  const deleteEdgeIds = storedEdges.filter(edge => !keptEdgeIds.has(edge.id)).map(edge => edge.id);
+
+  return {
+    idMap,
+    edgeIdMap,
+    upsertNodes,
+    upsertEdges,
+    deleteNodeIds,
+    deleteEdgeIds,
+    warnings: validation.warnings,
+    changes: {
+      nodes: {
+        created: Object.keys(idMap).length,
+        updated: upsertNodes.length - Object.keys(idMap).length,
+        deleted: deleteNodeIds.length
+      },
+      edges: {
+        created: upsertEdges.filter(edge => !storedEdgesById.has(edge.id)).length,
+        updated: upsertEdges.filter(edge => storedEdgesById.has(edge.id)).length,
+        deleted: deleteEdgeIds.length
+      }
+    }
+  };
+}
+
+// Applies a plan from planGraphSave. Rejects with error.status 404 or 409.
+export async function applyGraphSave(workflowId, revision, plan) {
+  const { data, error } = await supabase.rpc('save_workflow_graph', {
+    p_workflow_id: workflowId,
+    p_revision: revision ?? null,
+    p_delete_node_ids: plan.deleteNodeIds,
+    p_delete_edge_ids: plan.deleteEdgeIds,
+    p_upsert_nodes: plan.upsertNodes,
+    p_upsert_edges: plan.upsertEdges
+  });
+
+  if (error) {
+    const saveError = new Error(error.message);
+    saveError.status = { PT404: 404, PT409: 409 }[error.code] || 500;
+    throw saveError;
+  }
+
+  return data;
+}
+
+// The shape of the document, before anything is looked up
+function checkDocument(document) {
+  if (!document || !Array.isArray(document.nodes) || !Array.isArray(document.edges)) {
+    return [{ code: 'invalid_document', message: 'Body must have nodes and edges arrays' }];
+  }
+
+  const errors = [];
+  const nodeIds = new Set();
+
+  document.nodes.forEach((node, index) => {
+    if (!node || typeof node.id !== 'string' || !node.id) {
+      errors.push({ code: 'invalid_node', message: `nodes[${index}] needs an id (a temporary one for new nodes)` });
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      errors.push({ code: 'duplicate_node_id', message: `Node id "${node.id}" is used more than once`, nodeId: node.id });
+    }
+    nodeIds.add(node.id);
+
+    if (!node.node_type || !node.label) {
+      errors.push({ code: 'invalid_node', message: `Node "${node.id}" needs node_type and label`, nodeId: node.id });
+    }
+  });
+
+  const pairs = new Set();
+  document.edges.forEach((edge, index) => {
+    const where = edge && edge.id ? { edgeId: edge.id } : {};
+
+    if (!edge || !nodeIds.has(edge.source_node_id) || !nodeIds.has(edge.target_node_id)) {
+      errors.push({ code: 'dangling_edge', message: `edges[${index}] must connect two nodes of the document`, ...where });
+      return;
+    }
+    if (edge.source_node_id === edge.target_node_id) {
+      errors.push({ code: 'self_loop', message: `edges[${index}] connects a node to itself`, ...where });
+    }
+
+    const pair = `${edge.source_node_id}|${edge.target_node_id}`;
+    if (pairs.has(pair)) {
+      errors.push({ code: 'duplicate_edge', message: `edges[${index}] duplicates another connection between the same nodes`, ...where });
+    }
+    pairs.add(pair);
+  });
+
+  return errors;
+}
+
+// Issues about new nodes should name the id the client knows them by
+function reverseIds(issue, idMap, edgeIdMap) {
+  const clientIds = Object.fromEntries(
+    [...Object.entries(idMap), ...Object.entries(edgeIdMap)].map(([clientId, id]) => [id, clientId])
+  );
+  const toClient = id => clientIds[id] || id;
+
+  return {
+    ...(issue.nodeId && { nodeId: toClient(issue.nodeId) }),
+    ...(issue.edgeId && { edgeId: toClient(issue.edgeId) }),
+    ...(issue.nodeIds && { nodeIds: issue.nodeIds.map(toClient) })
+  };
+}
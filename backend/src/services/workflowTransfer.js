@@ -0,0 +1,342 @@
+// src/services/workflowTransfer.js
+// Export, import and duplicate workflows as portable JSON
+//
+// An export looks like:
+//   {
+//     format: 'tene-yie/workflow', version: 1, exportedAt,
+//     workflow: { name, description, max_concurrency },
+//     nodes: [{ ref: 'node-1', node_type, label, config, position_x, position_y }],
+//     edges: [{ source: 'node-1', target: 'node-2', source_handle }],
+//     credentials: [{ id, name, type }]
+//   }
+// Nodes are referred to by ref instead of id, so an import gets fresh ids
+// everywhere - including {{ $node["<id>"] }} references in configs, which
+// are written as $node["node-1"]. An execute_workflow node calling the
+// exported workflow itself has workflowId "workflow-self".
+// Credentials only travel as references (never their secrets);
+// credentials lists the ones config.credentialId points at. Webhook secrets
+// are left out; removedSecrets lists the nodes that had one.
+
+import { v4 as uuidv4 } from 'uuid';
+import supabase from '../utils/supabaseClient.js';
+import { applyGraphSave, planGraphSave } from './workflowGraph.js';
+import { recordVersion } from './workflowVersions.js';
+import { renameNodeReferences } from '../utils/expressions.js';
+
+export const EXPORT_FORMAT = 'tene-yie/workflow';
+export const EXPORT_VERSION = 1;
+
+const SELF_REF = 'workflow-self';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ========== EXPORT ==========
+// Returns null if the workflow doesn't exist (or isn't ownerId's)
+export async function exportWorkflow(workflowId, ownerId) {
+  const { data: workflow, error: workflowError } = await supabase
+    .from('workflows')
+    .select('*')
+    .eq('id', workflowId)
+    .eq('owner_id', ownerId)
+    .single();
+
+  if (workflowError || !workflow) {
+    return null;
+  }
+
+  const { data: nodes, error: nodesError } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .order('created_at', { ascending: true });
+
+  const { data: edges, error: edgesError } = await supabase
+    .from('edges')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .order('created_at', { ascending: true });
+
+  if (nodesError || edgesError) {
+    throw new Error((nodesError || edgesError).message);
+  }
+
+  const refs = new Map(nodes.map((node, index) => [node.id, `node-${index + 1}`]));
+  const credentialIds = [...new Set(nodes.map(node => node.config && node.config.credentialId))]
+    .filter(id => id && UUID_PATTERN.test(id));
+
+  let credentials = [];
+  if (credentialIds.length > 0) {
+    const { data, error } = await supabase
+      .from('credentials')
+      .select('id, name, type')
+      .in('id', credentialIds)
+      .eq('owner_id', ownerId);
+
+    if (error) throw new Error(error.message);
+    credentials = data.map(({ id, name, type }) => ({ id, name, type }));
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    workflow: {
+      name: workflow.name,
+      description: workflow.description || '',
+      max_concurrency: workflow.max_concurrency ?? null
+    },
+    nodes: nodes.map(node => ({
+      ref: refs.get(node.id),
+      node_type: node.node_type,
+      label: node.label,
+      config: exportConfig(node, workflowId, refs),
+      position_x: node.position_x || 0,
+      position_y: node.position_y || 0
+    })),
+    edges: edges
+      .filter(edge => refs.has(edge.source_node_id) && refs.has(edge.target_node_id))
+      .map(edge => ({
+        source: refs.get(edge.source_node_id),
+        target: refs.get(edge.target_node_id),
+        source_handle: edge.source_handle || null
+      })),
+    credentials,
+    removedSecrets: nodes
+      .filter(node => node.node_type === 'trigger' && node.config && node.config.secret)
+      .map(node => ({ ref: refs.get(node.id), field: 'secret' }))
+  };
+}
+
+function exportConfig(node, workflowId, refs) {
+  const { secret, ...config } = node.config || {};
+  const kept = node.node_type === 'trigger' ? config : node.config || {};
+  const renamed = renameNodeReferences(kept, Object.fromEntries(refs));
+
+  if (node.node_type === 'execute_workflow' && renamed.workflowId === workflowId) {
+    renamed.workflowId = SELF_REF;
+  }
+
+  return renamed;
+}
+
+// ========== IMPORT ==========
+// Creates a new workflow from an export. Imported workflows start disabled,
+// so a scheduled trigger doesn't fire before anyone has looked at it.
+//
+// options.ownerId is the user the new workflow belongs to.
+// options.name overrides the workflow name.
+// options.credentials maps exported credential ids to local ones.
+//
+// Returns { errors } if the document is invalid, otherwise
+//   { workflow, idMap (ref → node id), credentialsToRebind, workflowsToRebind, warnings }
+// where credentialsToRebind lists the credential references that point at
+// nothing here, with the nodes that use them, and workflowsToRebind the same
+// for execute_workflow nodes calling a workflow the owner doesn't have.
+export async function importWorkflow(document, options = {}) {
+  const errors = checkExport(document);
+  if (errors.length > 0) return { errors };
+
+  const credentialMap = options.credentials || {};
+  const nodes = document.nodes.map(node => {
+    const config = { ...(node.config || {}) };
+    if (config.credentialId && credentialMap[config.credentialId]) {
+      config.credentialId = credentialMap[config.credentialId];
+    }
+    return {
+      id: node.ref,
+      node_type: node.node_type,
+      label: node.label,
+      config,
+      position_x: node.position_x,
+      position_y: node.position_y
+    };
+  });
+  const edges = document.edges.map(edge => ({
+    source_node_id: edge.source,
+    target_node_id: edge.target,
+    source_handle: edge.source_handle
+  }));
+
+  // Every ref is unknown to an empty workflow, so every node gets a new id
+  // and the $node references between them are renamed with it
+  const plan = planGraphSave([], [], { nodes, edges });
+  if (plan.errors) return { errors: plan.errors };
+
+  const workflowId = uuidv4();
+  plan.upsertNodes.forEach(node => {
+    if (node.node_type === 'execute_workflow' && node.config.workflowId === SELF_REF) {
+      node.config.workflowId = workflowId;
+    }
+  });
+
+  const credentialsToRebind = await findMissingCredentials(nodes, plan.idMap, document.credentials || [], options.ownerId);
+  const workflowsToRebind = await findMissingWorkflows(plan.upsertNodes, workflowId, options.ownerId);
+  const labels = new Map(document.nodes.map(node => [node.ref, node.label]));
+  const warnings = [
+    ...plan.warnings,
+    ...(document.removedSecrets || [])
+      .filter(removed => plan.idMap[removed.ref])
+      .map(removed => ({
+        code: 'secret_removed',
+        message: `The ${removed.field} of node "${labels.get(removed.ref)}" was not exported; set a new one before enabling the workflow`,
+        nodeId: plan.idMap[removed.ref]
+      }))
+  ];
+
+  const { data, error } = await supabase
+    .from('workflows')
+    .insert([{
+      id: workflowId,
+      name: options.name || document.workflow.name,
+      description: document.workflow.description || '',
+      enabled: false,
+      max_concurrency: document.workflow.max_concurrency ?? null,
+      owner_id: options.ownerId
+    }])
+    .select();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  try {
+    await applyGraphSave(workflowId, null, plan);
+  } catch (saveError) {
+    // Don't leave an empty workflow behind
+    await supabase.from('workflows').delete().eq('id', workflowId);
+    throw saveError;
+  }
+
+  await recordVersion(workflowId, { author: options.author, message: options.message || 'Imported workflow' });
+
+  return {
+    workflow: data[0],
+    idMap: plan.idMap,
+    credentialsToRebind,
+    workflowsToRebind,
+    warnings
+  };
+}
+
+// The shape of the document. Node configs and the graph are checked by planGraphSave.
+function checkExport(document) {
+  if (!document || typeof document !== 'object') {
+    return [{ code: 'invalid_document', message: 'Export document is required' }];
+  }
+  if (document.format !== EXPORT_FORMAT) {
+    return [{ code: 'invalid_format', message: `format must be "${EXPORT_FORMAT}"` }];
+  }
+  if (document.version !== EXPORT_VERSION) {
+    return [{ code: 'unsupported_version', message: `Export version ${document.version} is not supported (expected ${EXPORT_VERSION})` }];
+  }
+
+  const errors = [];
+
+  if (!document.workflow || !document.workflow.name) {
+    errors.push({ code: 'invalid_workflow', message: 'workflow.name is required' });
+  }
+  if (!Array.isArray(document.nodes) || !Array.isArray(document.edges)) {
+    errors.push({ code: 'invalid_document', message: 'nodes and edges must be arrays' });
+    return errors;
+  }
+
+  document.nodes.forEach((node, index) => {
+    if (!node || typeof node.ref !== 'string' || !node.ref) {
+      errors.push({ code: 'invalid_node', message: `nodes[${index}] needs a ref` });
+    }
+  });
+  document.edges.forEach((edge, index) => {
+    if (!edge || !edge.source || !edge.target) {
+      errors.push({ code: 'invalid_edge', message: `edges[${index}] needs a source and a target` });
+    }
+  });
+
+  return errors;
+}
+
+// Credential references with no credential of the owner behind them
+async function findMissingCredentials(nodes, idMap, exported, ownerId) {
+  const usedBy = new Map();
+  nodes.filter(node => node.config.credentialId).forEach(node => {
+    const users = usedBy.get(node.config.credentialId) || [];
+    users.push({ id: idMap[node.id], label: node.label });
+    usedBy.set(node.config.credentialId, users);
+  });
+
+  if (usedBy.size === 0) return [];
+
+  // Anything that isn't a uuid can't be a credential id here
+  const candidates = [...usedBy.keys()].filter(id => UUID_PATTERN.test(id));
+  let existing = [];
+  if (candidates.length > 0) {
+    const { data, error } = await supabase
+      .from('credentials')
+      .select('id')
+      .in('id', candidates)
+      .eq('owner_id', ownerId);
+
+    if (error) throw new Error(error.message);
+    existing = data;
+  }
+
+  const found = new Set(existing.map(credential => credential.id));
+  const described = new Map(exported.map(credential => [credential.id, credential]));
+
+  return [...usedBy.entries()]
+    .filter(([credentialId]) => !found.has(credentialId))
+    .map(([credentialId, users]) => ({
+      credentialId,
+      name: described.has(credentialId) ? described.get(credentialId).name : null,
+      type: described.has(credentialId) ? described.get(credentialId).type : null,
+      nodes: users
+    }));
+}
+
+// Sub-workflow calls to workflows the owner doesn't have. A workflowId that
+// is an expression is only known at run time and isn't checked.
+async function findMissingWorkflows(nodes, workflowId, ownerId) {
+  const usedBy = new Map();
+  nodes
+    .filter(node => node.node_type === 'execute_workflow' && node.config.workflowId !== workflowId)
+    .filter(node => typeof node.config.workflowId === 'string' && !node.config.workflowId.includes('{{'))
+    .forEach(node => {
+      const users = usedBy.get(node.config.workflowId) || [];
+      users.push({ id: node.id, label: node.label });
+      usedBy.set(node.config.workflowId, users);
+    });
+
+  if (usedBy.size === 0) return [];
+
+  const candidates = [...usedBy.keys()].filter(id => UUID_PATTERN.test(id));
+  let existing = [];
+  if (candidates.length > 0) {
+    const { data, error } = await supabase
+      .from('workflows')
+      .select('id')
+      .in('id', candidates)
+      .eq('owner_id', ownerId);
+
+    if (error) throw new Error(error.message);
+    existing = data;
+  }
+
+  const found = new Set(existing.map(workflow => workflow.id));
+
+  return [...usedBy.entries()]
+    .filter(([calledId]) => !found.has(calledId))
+    .map(([calledId, users]) => ({ workflowId: calledId, nodes: users }));
+}
+
+// ========== DUPLICATE ==========
+// A copy through the same export → import path. Returns null if the workflow
+// doesn't exist (or isn't options.ownerId's).
+export async function duplicateWorkflow(workflowId, options = {}) {
+  const document = await exportWorkflow(workflowId, options.ownerId);
+  if (!document) return null;
+
+  return importWorkflow(document, {
+    ...options,
+    name: options.name || `${document.workflow.name} (copy)`,
+    message: `Duplicated from workflow ${workflowId}`
+  });
+}
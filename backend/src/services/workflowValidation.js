@@ -0,0 +1,158 @@
+// src/services/workflowValidation.js
+// Checks a workflow graph before it is saved or run
+//
+// Returns { valid, errors, warnings }. Every issue is
+//   { code, message, nodeId?, edgeId? }
+// so the editor can point at the node or edge it is about.
+//
+// Errors (the workflow can't run):
+//   missing_trigger, multiple_triggers, trigger_has_incoming_edge, cycle,
+//   unknown_node_type, invalid_config, dangling_edge, missing_source_handle
+// Warnings (it runs, but probably not as meant):
+//   unreachable_node
+
+import supabase from '../utils/supabaseClient.js';
+import { buildAdjacencyMap, describeCycle, findCycle, findReachable } from '../utils/graph.js';
+import { getNodeType, validateNodeConfig } from '../nodes/index.js';
+
+export function validateGraph(nodes, edges) {
+  const errors = [];
+  const warnings = [];
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const name = node => `"${node.label || node.id}"`;
+
+  // ----- Triggers -----
+  const triggers = nodes.filter(node => node.node_type === 'trigger');
+
+  if (triggers.length === 0) {
+    errors.push({ code: 'missing_trigger', message: 'Workflow has no trigger node' });
+  }
+  triggers.slice(1).forEach(node => {
+    errors.push({
+      code: 'multiple_triggers',
+      message: `Workflow can only have one trigger, ${name(node)} is an extra one`,
+      nodeId: node.id
+    });
+  });
+
+  // ----- Node config -----
+  nodes.forEach(node => {
+    if (!getNodeType(node.node_type)) {
+      errors.push({
+        code: 'unknown_node_type',
+        message: `Node ${name(node)} has unknown type "${node.node_type}"`,
+        nodeId: node.id
+      });
+      return;
+    }
+
+    const configErrors = validateNodeConfig(node.node_type, node.config);
+    if (configErrors.length > 0) {
+      errors.push({
+        code: 'invalid_config',
+        message: `Node ${name(node)} has invalid config: ${configErrors.join('; ')}`,
+        nodeId: node.id,
+        details: configErrors
+      });
+    }
+  });
+
+  // ----- Edges -----
+  // Only edges between existing nodes take part in the graph checks below
+  const liveEdges = edges.filter(edge => {
+    if (nodesById.has(edge.source_node_id) && nodesById.has(edge.target_node_id)) return true;
+    errors.push({
+      code: 'dangling_edge',
+      message: 'Edge points at a node that does not exist in this workflow',
+      edgeId: edge.id
+    });
+    return false;
+  });
+
+  liveEdges.forEach(edge => {
+    const source = nodesById.get(edge.source_node_id);
+    const target = nodesById.get(edge.target_node_id);
+
+    if (target.node_type === 'trigger') {
+      errors.push({
+        code: 'trigger_has_incoming_edge',
+        message: `Trigger ${name(target)} can't have incoming connections (from ${name(source)})`,
+        edgeId: edge.id,
+        nodeId: target.id
+      });
+    }
+
+    const sourceType = getNodeType(source.node_type);
+    if (sourceType && !sourceType.outputs.includes('main') && !edge.source_handle) {
+      errors.push({
+        code: 'missing_source_handle',
+        message: `Connection from ${name(source)} to ${name(target)} needs a source_handle`,
+        edgeId: edge.id
+      });
+    }
+  });
+
+  // ----- Cycles -----
+  const cycle = findCycle(nodes, liveEdges);
+  if (cycle) {
+    errors.push({
+      code: 'cycle',
+      message: `Workflow contains a cycle: ${describeCycle(cycle)}`,
+      nodeId: cycle[0].id,
+      nodeIds: cycle.map(node => node.id)
+    });
+  }
+
+  // ----- Reachability -----
+  if (triggers.length > 0) {
+    const reachable = findReachable(triggers[0].id, buildAdjacencyMap(nodes, liveEdges));
+    nodes
+      .filter(node => !reachable.has(node.id) && node.node_type !== 'trigger')
+      .forEach(node => {
+        warnings.push({
+          code: 'unreachable_node',
+          message: `Node ${name(node)} can't be reached from the trigger and will never run`,
+          nodeId: node.id
+        });
+      });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Fetches the workflow's nodes and edges and validates them.
+// Returns null if the workflow doesn't exist (or isn't ownerId's).
+export async function validateWorkflow(workflowId, ownerId) {
+  const { data: workflow, error: workflowError } = await supabase
+    .from('workflows')
+    .select('id')
+    .eq('id', workflowId)
+    .eq('owner_id', ownerId)
+    .single();
+
+  if (workflowError || !workflow) {
+    return null;
+  }
+
+  const { data: nodes, error: nodesError } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('workflow_id', workflowId);
+
+  const { data: edges, error: edgesError } = await supabase
+    .from('edges')
+    .select('*')
+    .eq('workflow_id', workflowId);
+
+  if (nodesError || edgesError) {
+    throw new Error((nodesError || edgesError).message);
+  }
+
+  return validateGraph(nodes, edges);
+}
+
+// Would adding an edge from sourceId to targetId close a cycle? It does if
+// the source can already be reached from the target.
+export function wouldCreateCycle(nodes, edges, sourceId, targetId) {
+  return findReachable(targetId, buildAdjacencyMap(nodes, edges)).has(sourceId);
+}
@@ -0,0 +1,69 @@
+// src/services/workflowVersions.js
+// Version history of workflows
+//
+// Every save of a workflow (its settings, a node, an edge or the whole graph)
+// records an immutable snapshot in workflow_versions:
+//   { version_number, workflow, nodes, edges, author, message }
+// workflows.current_version_id points at the newest one, and executions store
+// the version they ran as version_id.
+//
+// The author is the signed-in user's email.
+
+import { v4 as uuidv4 } from 'uuid';
+import supabase from '../utils/supabaseClient.js';
+import { diffValues } from '../utils/diff.js';
+
+export const VERSION_LIST_COLUMNS = 'id, workflow_id, version_number, author, message, created_at';
+
+export function versionInfo(req, message) {
+  return { author: req.user ? req.user.email || req.user.id : null, message };
+}
+
+// Snapshots the workflow as it is stored now. The number and the snapshot
+// are taken in the database, under a lock on the workflow row
+// (migrations/013). A failure is thrown so the caller reports it: the edit
+// it follows has been saved, but without a version.
+export async function recordVersion(workflowId, { author, message } = {}) {
+  const { data, error } = await supabase.rpc('record_workflow_version', {
+    p_workflow_id: workflowId,
+    p_version_id: uuidv4(),
+    p_author: author || null,
+    p_message: message || null
+  });
+
+  if (error) {
+    console.error(`Failed to record version of workflow ${workflowId}:`, error.message);
+    throw new Error(`The change was saved, but its version could not be recorded: ${error.message}`);
+  }
+
+  return data;
+}
+
+// ========== DIFF ==========
+// What changed going from one version to another:
+//   workflow: [{ path, from, to }]
+//   nodes / edges: { added: [...], removed: [...], changed: [{ id, label, changes: [{ path, from, to }] }] }
+// Node config changes are listed per field, e.g. path 'config.retry.attempts'.
+export function diffVersions(from, to) {
+  return {
+    workflow: diffValues(from.workflow, to.workflow),
+    nodes: diffRows(from.nodes, to.nodes, node => ({ id: node.id, label: node.label, node_type: node.node_type })),
+    edges: diffRows(from.edges, to.edges, edge => edge)
+  };
+}
+
+function diffRows(fromRows, toRows, describe) {
+  const fromById = new Map(fromRows.map(row => [row.id, row]));
+  const toById = new Map(toRows.map(row => [row.id, row]));
+
+  const changed = toRows
+    .filter(row => fromById.has(row.id))
+    .map(row => ({ ...describe(row), changes: diffValues(fromById.get(row.id), row) }))
+    .filter(row => row.changes.length > 0);
+
+  return {
+    added: toRows.filter(row => !fromById.has(row.id)).map(describe),
+    removed: fromRows.filter(row => !toById.has(row.id)).map(describe),
+    changed
+  };
+}
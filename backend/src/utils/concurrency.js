@@ -0,0 +1,62 @@
+// src/utils/concurrency.js
+// Helpers for running async work side by side
+
+// ========== MAP ==========
+// Runs fn over every item with at most `limit` calls in flight.
+// Results keep the order of the items, whatever order they finish in.
+// After the first error no new calls start; the ones in flight are awaited
+// and then the error is thrown.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+
+  if (failure) throw failure;
+  return results;
+}
+
+// ========== LIMITER ==========
+// Counting semaphore: at most `limit` holders at once, the rest wait in line
+//   await limiter.acquire(); try { ... } finally { limiter.release(); }
+export function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  return {
+    async acquire() {
+      if (active < limit) {
+        active++;
+        return;
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    },
+
+    release() {
+      // Hand the slot straight to the next in line, if any
+      const next = waiting.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    },
+
+    get active() {
+      return active;
+    }
+  };
+}
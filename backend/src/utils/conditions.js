@@ -0,0 +1,133 @@
+// src/utils/conditions.js
+// Rule evaluation for condition (if / switch) nodes and the filter transform
+//
+// A rule compares a field against a value:
+//   { "field": "$node[\"Weather\"].data.temp", "operator": "greater_than", "value": 70 }
+// A field starting with $ is read from the expression scope; any other field
+// is a path into the current item ($item), as used by the filter transform.
+// Rules can be grouped with and/or, and groups can be nested:
+//   { "combinator": "or", "conditions": [rule, rule, { "combinator": "and", "conditions": [...] }] }
+//
+// Regex rules come from users, and a pattern like ^(a+)+$ can backtrack for
+// minutes on the wrong input. They run in a separate vm context with a time
+// limit so one bad pattern fails its node instead of stalling the server.
+
+import vm from 'vm';
+import { evaluate, getPath } from './expressions.js';
+
+const REGEX_TIMEOUT_MS = 100;
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('new RegExp(pattern, flags).test(input)');
+
+export const OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'greater_than',
+  'less_than',
+  'regex',
+  'exists',
+  'not_exists'
+];
+
+// ========== GROUPS ==========
+// Evaluates a group of rules. Missing combinator defaults to "and".
+export function evaluateGroup(group, scope) {
+  const conditions = group.conditions || [];
+  const combinator = group.combinator || 'and';
+
+  if (!['and', 'or'].includes(combinator)) {
+    throw new Error(`Invalid combinator "${combinator}". Must be "and" or "or"`);
+  }
+
+  const check = item => (item.conditions ? evaluateGroup(item, scope) : evaluateRule(item, scope));
+
+  return combinator === 'and' ? conditions.every(check) : conditions.some(check);
+}
+
+// ========== SINGLE RULE ==========
+export function evaluateRule(rule, scope) {
+  if (!OPERATORS.includes(rule.operator)) {
+    throw new Error(`Invalid operator "${rule.operator}". Must be one of: ${OPERATORS.join(', ')}`);
+  }
+
+  // A missing field is not an error here - "exists" needs to be able to see it
+  const actual = readField(rule.field, scope);
+  const expected = rule.value;
+
+  switch (rule.operator) {
+    case 'equals':
+      return isEqual(actual, expected);
+    case 'not_equals':
+      return !isEqual(actual, expected);
+    case 'contains':
+      return contains(actual, expected);
+    case 'not_contains':
+      return !contains(actual, expected);
+    case 'greater_than':
+      return isNumeric(actual) && isNumeric(expected) && Number(actual) > Number(expected);
+    case 'less_than':
+      return isNumeric(actual) && isNumeric(expected) && Number(actual) < Number(expected);
+    case 'regex':
+      return testRegex(expected, rule.flags, String(actual ?? ''));
+    case 'exists':
+      return actual !== undefined && actual !== null;
+    case 'not_exists':
+      return actual === undefined || actual === null;
+  }
+}
+
+// ========== HELPERS ==========
+
+function readField(field, scope) {
+  if (!field) return undefined;
+  if (field.startsWith('$')) {
+    return evaluate(field, scope, { optional: true });
+  }
+  return getPath(scope.$item, field);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  // "72" equals 72 - config values often arrive as strings
+  return String(a) === String(b);
+}
+
+function contains(haystack, needle) {
+  if (typeof haystack === 'string') {
+    return haystack.includes(String(needle));
+  }
+  if (Array.isArray(haystack)) {
+    return haystack.some(item => isEqual(item, needle));
+  }
+  if (haystack && typeof haystack === 'object') {
+    return Object.prototype.hasOwnProperty.call(haystack, needle);
+  }
+  return false;
+}
+
+// Numbers and numeric strings; null, '' and booleans don't count even though Number() accepts them
+export function isNumeric(value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && !isNaN(Number(value));
+}
+
+function testRegex(pattern, flags, input) {
+  regexContext.pattern = pattern;
+  regexContext.flags = flags || '';
+  regexContext.input = input;
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Regex "${pattern}" took longer than ${REGEX_TIMEOUT_MS}ms and was stopped`);
+    }
+    throw new Error(`Invalid regex "${pattern}": ${error.message}`);
+  } finally {
+    regexContext.input = undefined;
+  }
+}
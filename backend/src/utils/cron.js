@@ -0,0 +1,22 @@
+// src/utils/cron.js
+// Cron expression helpers shared by the scheduler and node validation
+
+import parser from 'cron-parser';
+
+export function getDefaultTimezone() {
+  return process.env.SCHEDULER_TIMEZONE || 'UTC';
+}
+
+// Returns the next Date the expression matches after `from`.
+// Throws on an invalid expression or timezone.
+export function getNextRunTime(cron, timezone, from = new Date()) {
+  try {
+    const interval = parser.parseExpression(cron, {
+      currentDate: from,
+      tz: timezone || getDefaultTimezone()
+    });
+    return interval.next().toDate();
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${cron}": ${error.message}`);
+  }
+}
@@ -0,0 +1,22 @@
+// src/utils/diff.js
+// Field by field differences between two JSON values
+//
+//   diffValues({ url: 'a', retry: { attempts: 2 } }, { url: 'b', retry: { attempts: 2 }, timeoutMs: 10 })
+//   → [{ path: 'url', from: 'a', to: 'b' }, { path: 'timeoutMs', from: undefined, to: 10 }]
+//
+// Objects are compared key by key. Arrays and other values are compared as a whole.
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function diffValues(from, to, path = '') {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    return keys.flatMap(key => diffValues(from[key], to[key], path ? `${path}.${key}` : key));
+  }
+
+  if (JSON.stringify(from) === JSON.stringify(to)) {
+    return [];
+  }
+
+  return [{ path, from, to }];
+}
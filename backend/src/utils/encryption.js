@@ -0,0 +1,51 @@
+// src/utils/encryption.js
+// Encrypts credential secrets at rest with AES-256-GCM
+//
+// CREDENTIALS_KEY is a 32 byte key, hex or base64 encoded:
+//   openssl rand -hex 32
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+function getKey() {
+  const value = process.env.CREDENTIALS_KEY;
+
+  if (!value) {
+    throw new Error('CREDENTIALS_KEY is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_KEY must be 32 bytes, hex or base64 encoded');
+  }
+
+  return key;
+}
+
+// Returns "<iv>:<auth tag>:<ciphertext>", each part base64
+export function encryptJson(value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+export function decryptJson(payload) {
+  const [iv, tag, ciphertext] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    if (error.message.startsWith('CREDENTIALS_KEY')) throw error;
+    throw new Error('Could not decrypt credential (wrong CREDENTIALS_KEY?)');
+  }
+}
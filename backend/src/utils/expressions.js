@@ -0,0 +1,226 @@
+// src/utils/expressions.js
+// Resolves {{ expressions }} inside node configs before a node runs
+//
+// Supported roots:
+//   {{ $node["Weather"].data.temp }}  output of an upstream node, by label or id
+//   {{ $trigger.payload.user }}       output of the trigger node
+//   {{ $env.API_BASE }}               environment variable WORKFLOW_ENV_API_BASE
+//   {{ $credential.token }}           the node's credential (config.credentialId)
+//   {{ $item.name }}                  the current item, inside per-item configs
+//                                     (e.g. map fields) - left as-is until then
+
+const EXPRESSION_PATTERN = /\{\{\s*(.+?)\s*\}\}/g;
+const SINGLE_EXPRESSION_PATTERN = /^\{\{\s*(.+?)\s*\}\}$/;
+
+// Per-item variables. When they aren't in scope yet, expressions using them
+// are left untouched so the node can resolve them once per item.
+const DEFERRED_VARIABLES = ['$item', '$index'];
+
+// Only variables with this prefix are visible to workflows, without it.
+// Everything else is server configuration and secrets, shared by all users.
+const WORKFLOW_ENV_PREFIX = 'WORKFLOW_ENV_';
+
+// ========== BUILD SCOPE ==========
+// upstreamNodes: nodes whose output this node may reference
+// executionData: node id → output for every node that has run so far
+export function buildScope(upstreamNodes, triggerNode, executionData) {
+  const nodeOutputs = {};
+
+  // Index by label first so an id always wins if a label collides with one
+  upstreamNodes.forEach(node => {
+    if (node.id in executionData) {
+      nodeOutputs[node.label] = executionData[node.id];
+    }
+  });
+  upstreamNodes.forEach(node => {
+    if (node.id in executionData) {
+      nodeOutputs[node.id] = executionData[node.id];
+    }
+  });
+
+  const env = {};
+  Object.keys(process.env).forEach(key => {
+    if (key.startsWith(WORKFLOW_ENV_PREFIX) && key.length > WORKFLOW_ENV_PREFIX.length) {
+      env[key.slice(WORKFLOW_ENV_PREFIX.length)] = process.env[key];
+    }
+  });
+
+  return {
+    $node: nodeOutputs,
+    $trigger: triggerNode ? executionData[triggerNode.id] : undefined,
+    $env: env
+  };
+}
+
+// ========== RESOLVE CONFIG ==========
+// Walks a config value and replaces every {{ expression }} it finds.
+// A string that is exactly one expression keeps the resolved value's type,
+// otherwise results are interpolated into the string.
+export function resolveConfig(value, scope) {
+  if (typeof value === 'string') {
+    return resolveString(value, scope);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveConfig(item, scope));
+  }
+
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    Object.keys(value).forEach(key => {
+      resolved[key] = resolveConfig(value[key], scope);
+    });
+    return resolved;
+  }
+
+  return value;
+}
+
+function resolveString(text, scope) {
+  const single = text.match(SINGLE_EXPRESSION_PATTERN);
+  if (single && !single[1].includes('{{')) {
+    return isDeferred(single[1], scope) ? text : evaluate(single[1], scope);
+  }
+
+  return text.replace(EXPRESSION_PATTERN, (match, expression) => {
+    if (isDeferred(expression, scope)) return match;
+
+    const result = evaluate(expression, scope);
+    if (result === null || result === undefined) return '';
+    return typeof result === 'object' ? JSON.stringify(result) : String(result);
+  });
+}
+
+function isDeferred(expression, scope) {
+  const root = expression.match(/^\$[A-Za-z_]\w*/);
+  return Boolean(root) && DEFERRED_VARIABLES.includes(root[0]) && !(root[0] in scope);
+}
+
+// ========== EVALUATE ==========
+// Evaluates a single expression such as $node["Weather"].data.temp
+// Only property access is allowed - there is no eval involved.
+// With options.optional a missing path returns undefined instead of throwing.
+export function evaluate(expression, scope, options = {}) {
+  const segments = parsePath(expression);
+  const [root, ...path] = segments;
+
+  if (!Object.prototype.hasOwnProperty.call(scope, root)) {
+    throw new Error(
+      `Unknown variable ${root} in {{ ${expression} }}. ` +
+      `Available: ${Object.keys(scope).join(', ')}`
+    );
+  }
+
+  let current = scope[root];
+  let walked = root;
+
+  for (const segment of path) {
+    if (current === null || current === undefined ||
+        !Object.prototype.hasOwnProperty.call(Object(current), segment)) {
+      if (options.optional) return undefined;
+      throw new Error(
+        `Cannot resolve {{ ${expression} }}: ${formatSegment(segment)} not found on ${walked}`
+      );
+    }
+
+    current = current[segment];
+    walked += formatSegment(segment);
+  }
+
+  return current;
+}
+
+// ========== RENAME ==========
+// Rewrites $node["<key>"] references in a config value using names
+// (old key → new key), e.g. when node ids change on import. Other
+// references, including ones by label, are left alone.
+export function renameNodeReferences(value, names) {
+  if (typeof value === 'string') {
+    return value.replace(/\$node\[\s*(?:"([^"]*)"|'([^']*)')\s*\]/g, (match, double, single) => {
+      const key = double ?? single;
+      return Object.prototype.hasOwnProperty.call(names, key) ? `$node["${names[key]}"]` : match;
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renameNodeReferences(item, names));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renameNodeReferences(item, names)])
+    );
+  }
+
+  return value;
+}
+
+// ========== PATHS ==========
+// Reads a path such as "data.items[0].name" from a value.
+// Returns undefined when any part of the path is missing.
+export function getPath(value, path) {
+  if (path === undefined || path === null || path === '') return value;
+
+  const text = String(path);
+  let segments;
+  try {
+    segments = parseAccessors(text.startsWith('[') ? text : `.${text}`);
+  } catch (error) {
+    throw new Error(`Invalid path "${text}": ${error.message}`);
+  }
+
+  let current = value;
+
+  for (const segment of segments) {
+    if (current === null || current === undefined ||
+        !Object.prototype.hasOwnProperty.call(Object(current), segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+
+  return current;
+}
+
+// Splits $node["Weather"].data.items[0] into ['$node', 'Weather', 'data', 'items', '0']
+function parsePath(expression) {
+  const rootMatch = expression.match(/^\$[A-Za-z_]\w*/);
+
+  if (!rootMatch) {
+    throw new Error(`Invalid expression {{ ${expression} }}: must start with a variable like $node`);
+  }
+
+  try {
+    return [rootMatch[0], ...parseAccessors(expression.slice(rootMatch[0].length))];
+  } catch (error) {
+    throw new Error(`Invalid expression {{ ${expression} }}: ${error.message}`);
+  }
+}
+
+// Splits .data["my key"][0] into ['data', 'my key', '0']
+function parseAccessors(text) {
+  const segments = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    const dotMatch = rest.match(/^\.([\w$]+)/);
+    const bracketMatch = rest.match(/^\[\s*(?:"([^"]*)"|'([^']*)'|(\d+))\s*\]/);
+
+    if (dotMatch) {
+      segments.push(dotMatch[1]);
+      rest = rest.slice(dotMatch[0].length);
+    } else if (bracketMatch) {
+      segments.push(bracketMatch[1] ?? bracketMatch[2] ?? bracketMatch[3]);
+      rest = rest.slice(bracketMatch[0].length);
+    } else {
+      throw new Error(`unexpected "${rest}"`);
+    }
+  }
+
+  return segments;
+}
+
+function formatSegment(segment) {
+  if (/^\d+$/.test(segment)) return `[${segment}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `["${segment}"]`;
+}
@@ -0,0 +1,166 @@
+// src/utils/graph.js
+// Graph helpers for workflows
+// Nodes and edges are the raw rows we get back from Supabase
+
+// ========== ADJACENCY MAPS ==========
+// Downstream map: node id → ids of the nodes it points to
+export function buildAdjacencyMap(nodes, edges) {
+  const map = {};
+
+  nodes.forEach(node => {
+    map[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    // Ignore edges left behind by deleted nodes
+    if (map[edge.source_node_id] && map[edge.target_node_id]) {
+      map[edge.source_node_id].push(edge.target_node_id);
+    }
+  });
+
+  return map;
+}
+
+// Upstream map: node id → ids of the nodes that point to it
+export function buildUpstreamMap(nodes, edges) {
+  const map = {};
+
+  nodes.forEach(node => {
+    map[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    if (map[edge.source_node_id] && map[edge.target_node_id]) {
+      map[edge.target_node_id].push(edge.source_node_id);
+    }
+  });
+
+  return map;
+}
+
+// Incoming edge map: node id → the edge rows that end at it
+export function buildIncomingEdgeMap(nodes, edges) {
+  const map = {};
+
+  nodes.forEach(node => {
+    map[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    if (map[edge.source_node_id] && map[edge.target_node_id]) {
+      map[edge.target_node_id].push(edge);
+    }
+  });
+
+  return map;
+}
+
+// ========== REACHABILITY ==========
+// Returns the set of node ids reachable from startId (including startId)
+export function findReachable(startId, adjacencyMap) {
+  const reachable = new Set([startId]);
+  const stack = [startId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    for (const nextId of adjacencyMap[current] || []) {
+      if (!reachable.has(nextId)) {
+        reachable.add(nextId);
+        stack.push(nextId);
+      }
+    }
+  }
+
+  return reachable;
+}
+
+// ========== CYCLE DETECTION ==========
+// Returns the nodes forming one cycle, in order, or null if the graph is acyclic
+export function findCycle(nodes, edges) {
+  const adjacencyMap = buildAdjacencyMap(nodes, edges);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+  // 0 = not visited, 1 = on the current path, 2 = finished
+  const state = new Map();
+  const path = [];
+
+  for (const node of nodes) {
+    if (state.get(node.id)) continue;
+
+    // Iterative DFS so large graphs can't blow the stack
+    const stack = [{ id: node.id, next: 0 }];
+    state.set(node.id, 1);
+    path.push(node.id);
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const targets = adjacencyMap[frame.id];
+
+      if (frame.next < targets.length) {
+        const targetId = targets[frame.next++];
+        const targetState = state.get(targetId);
+
+        if (targetState === 1) {
+          const cycleIds = path.slice(path.indexOf(targetId));
+          return cycleIds.map(id => nodesById.get(id));
+        }
+
+        if (!targetState) {
+          state.set(targetId, 1);
+          path.push(targetId);
+          stack.push({ id: targetId, next: 0 });
+        }
+      } else {
+        state.set(frame.id, 2);
+        path.pop();
+        stack.pop();
+      }
+    }
+  }
+
+  return null;
+}
+
+// Human readable description of a cycle, e.g. "A" → "B" → "A"
+export function describeCycle(cycleNodes) {
+  const names = cycleNodes.map(node => `"${node.label || node.id}"`);
+  return [...names, names[0]].join(' → ');
+}
+
+// ========== TOPOLOGICAL SORT ==========
+// Kahn's algorithm. Returns the nodes ordered so every node comes after
+// all of its upstream nodes. Throws if the graph contains a cycle.
+export function topologicalSort(nodes, edges) {
+  const adjacencyMap = buildAdjacencyMap(nodes, edges);
+  const inDegree = new Map(nodes.map(node => [node.id, 0]));
+
+  Object.values(adjacencyMap).forEach(targets => {
+    targets.forEach(targetId => {
+      inDegree.set(targetId, inDegree.get(targetId) + 1);
+    });
+  });
+
+  // Keep the original node order for ties so runs are deterministic
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const ordered = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ordered.push(nodesById.get(id));
+
+    for (const targetId of adjacencyMap[id]) {
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) {
+        queue.push(targetId);
+      }
+    }
+  }
+
+  if (ordered.length !== nodes.length) {
+    const cycle = findCycle(nodes, edges);
+    throw new Error(`Workflow contains a cycle: ${describeCycle(cycle)}`);
+  }
+
+  return ordered;
+}
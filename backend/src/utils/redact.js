@@ -0,0 +1,42 @@
+// src/utils/redact.js
+// Hides credential values in what gets stored or logged (steps, execution data)
+
+export const REDACTED = '[REDACTED]';
+
+// Shorter values would match all over the place ("1", "on", ...)
+const MIN_SECRET_LENGTH = 4;
+
+// Every string or number inside a decrypted credential
+export function collectSecrets(data) {
+  if (data === null || data === undefined) return [];
+  if (typeof data === 'object') {
+    return Object.values(data).flatMap(collectSecrets);
+  }
+
+  const value = String(data);
+  return value.length >= MIN_SECRET_LENGTH ? [value] : [];
+}
+
+// Returns a copy of value with every secret replaced by [REDACTED]
+export function redactSecrets(value, secrets) {
+  if (!secrets || secrets.size === 0) return value;
+
+  // Longest first, so a secret that contains another one is hidden whole
+  const sorted = [...secrets].sort((a, b) => b.length - a.length);
+  return redactValue(value, sorted);
+}
+
+function redactValue(value, secrets) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, secrets));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactValue(item, secrets)])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,135 @@
+// src/utils/retry.js
+// Retry, timeout and error handling settings for nodes
+//
+// Any node config may contain:
+//   retry:     { attempts: 3, backoff: 'fixed' | 'exponential', delayMs: 1000 }
+//   timeoutMs: 30000
+//   onError:   'stop' (default) | 'continue' | 'route'
+//
+// Every attempt gets its own abort signal (context.signal in the handler),
+// aborted when the attempt times out or the execution is cancelled, so a
+// timed-out attempt stops before the next one starts. Work that can't be
+// taken back, like a message an SMTP server already accepted, still counts.
+
+export const ON_ERROR_MODES = ['stop', 'continue', 'route'];
+export const MAX_ATTEMPTS = 10;
+
+// ========== READ POLICY ==========
+// Normalizes the retry / timeout / onError settings from a node config
+export function getErrorPolicy(config) {
+  const retry = config.retry || {};
+  const attempts = retry.attempts === undefined ? 1 : Number(retry.attempts);
+  const backoff = retry.backoff || 'fixed';
+  const delayMs = retry.delayMs === undefined ? 1000 : Number(retry.delayMs);
+  const onError = config.onError || 'stop';
+
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS) {
+    throw new Error(`retry.attempts must be a whole number between 1 and ${MAX_ATTEMPTS}`);
+  }
+  if (!['fixed', 'exponential'].includes(backoff)) {
+    throw new Error('retry.backoff must be "fixed" or "exponential"');
+  }
+  if (isNaN(delayMs) || delayMs < 0) {
+    throw new Error('retry.delayMs must be a positive number');
+  }
+  if (config.timeoutMs !== undefined && !(Number(config.timeoutMs) > 0)) {
+    throw new Error('timeoutMs must be a positive number');
+  }
+  if (!ON_ERROR_MODES.includes(onError)) {
+    throw new Error(`onError must be one of: ${ON_ERROR_MODES.join(', ')}`);
+  }
+
+  return {
+    attempts,
+    backoff,
+    delayMs,
+    timeoutMs: config.timeoutMs === undefined ? null : Number(config.timeoutMs),
+    onError
+  };
+}
+
+// Delay before the next attempt. attempt is the number of the attempt that just failed.
+export function getRetryDelay(policy, attempt) {
+  if (policy.backoff === 'exponential') {
+    return policy.delayMs * 2 ** (attempt - 1);
+  }
+  return policy.delayMs;
+}
+
+// ========== TIMERS ==========
+
+export const CANCELLED_MESSAGE = 'Execution was cancelled';
+
+// Resolves after ms. Rejects right away if signal aborts first.
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error(CANCELLED_MESSAGE));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error(CANCELLED_MESSAGE));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Rejects as soon as signal aborts, even if the promise itself ignores it
+export function withAbort(promise, signal) {
+  if (!signal) return promise;
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(new Error(CANCELLED_MESSAGE));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Runs fn(attemptSignal) and rejects with message if it takes longer than
+// ms (no limit when ms is null). attemptSignal aborts on that timeout and
+// whenever signal aborts, so fn's own work is stopped too.
+export function runAttempt(fn, { signal, ms, message } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    if (!ms) return;
+    timer = setTimeout(() => {
+      reject(new Error(message || `Timed out after ${ms}ms`));
+      controller.abort();
+    }, ms);
+  });
+
+  const attempt = Promise.resolve().then(() => fn(controller.signal));
+
+  return withAbort(Promise.race([attempt, timedOut]), signal).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  });
+}
+
+// Rejects if the promise hasn't settled within ms. No limit when ms is null.
+export function withTimeout(promise, ms, message) {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message || `Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,78 @@
+// src/utils/sandbox.js
+// Runs user-supplied JavaScript (the "code" transform) away from the server
+//
+// Every run gets its own worker thread (see sandboxWorker.js), so a runaway
+// loop or a memory hog takes down the worker and not the server:
+//   - cpuLimitMs:    how long the code may run before it is stopped
+//   - memoryLimitMb: heap size of the worker; going over it kills the worker
+//   - signal:        aborting it (execution cancelled) kills the worker
+
+import { Worker } from 'worker_threads';
+
+export const DEFAULT_CPU_LIMIT_MS = 1000;
+export const DEFAULT_MEMORY_LIMIT_MB = 64;
+
+// Time for the worker to start and report back, on top of the CPU limit
+const STARTUP_GRACE_MS = 2000;
+
+// Resolves to { value, logs } or rejects with an error carrying .logs
+export function runInSandbox(code, globals, limits = {}) {
+  const cpuLimitMs = limits.cpuLimitMs || DEFAULT_CPU_LIMIT_MS;
+  const memoryLimitMb = limits.memoryLimitMb || DEFAULT_MEMORY_LIMIT_MB;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./sandboxWorker.js', import.meta.url), {
+      workerData: { code, globals: JSON.stringify(globals), timeoutMs: cpuLimitMs },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryLimitMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.ceil(memoryLimitMb / 8))
+      },
+      env: {},
+      stdout: true,
+      stderr: true
+    });
+
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (limits.signal) limits.signal.removeEventListener('abort', onAbort);
+      worker.terminate();
+      error ? reject(error) : resolve(result);
+    };
+
+    // Backstop in case the worker hangs outside the vm timeout
+    const timer = setTimeout(() => {
+      finish(new Error(`Code timed out after ${cpuLimitMs}ms`));
+    }, cpuLimitMs + STARTUP_GRACE_MS);
+
+    const onAbort = () => finish(new Error('Code was stopped: execution cancelled'));
+    if (limits.signal) {
+      if (limits.signal.aborted) return onAbort();
+      limits.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    worker.on('message', message => {
+      if (!message.error) {
+        return finish(null, { value: message.value, logs: message.logs });
+      }
+
+      const timedOut = /Script execution timed out/.test(message.error.message);
+      const error = new Error(timedOut ? `Code timed out after ${cpuLimitMs}ms` : message.error.message);
+      error.line = message.error.line || null;
+      error.logs = message.logs || [];
+      finish(error);
+    });
+
+    worker.on('error', err => {
+      finish(err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new Error(`Code ran out of memory (limit ${memoryLimitMb}MB)`)
+        : new Error(`Code failed: ${err.message}`));
+    });
+
+    worker.on('exit', () => {
+      finish(new Error('Code stopped without returning a result'));
+    });
+  });
+}
@@ -0,0 +1,105 @@
+// src/utils/sandboxWorker.js
+// Runs inside a worker thread started by utils/sandbox.js.
+//
+// The user code gets a fresh vm context with nothing from this process in it:
+// inputs arrive as a JSON string and are parsed inside the context, and console
+// is defined by code running in the context. No require, no process, no
+// Supabase client, no timers.
+
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+
+const FILENAME = 'code.js';
+const MAX_LOGS = 100;
+const MAX_LOG_LENGTH = 1000;
+
+// Set up inside the context before the user code runs
+const BOOTSTRAP = `
+(function (globals, maxLogs, maxLength) {
+  const logs = [];
+  const format = value => {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch (error) {
+      return String(value);
+    }
+  };
+  const write = level => (...args) => {
+    if (logs.length >= maxLogs) return;
+    logs.push({ level, message: args.map(format).join(' ').slice(0, maxLength) });
+  };
+
+  globalThis.console = { log: write('log'), info: write('info'), warn: write('warn'), error: write('error') };
+  globalThis.__sandbox = { logs, globals: JSON.parse(globals), done: false };
+})
+`;
+
+// Calls the user function and records how it settled
+const RUN = `
+(function (sandbox, userFunction) {
+  const { items, $node, $trigger } = sandbox.globals;
+  const settle = (key, value) => { sandbox.done = true; sandbox[key] = value; };
+  Promise.resolve()
+    .then(() => userFunction(items, $node, $trigger))
+    .then(value => settle('value', JSON.stringify(value === undefined ? null : value)))
+    .catch(error => settle('error', error));
+})
+`;
+
+const { code, globals, timeoutMs } = workerData;
+
+try {
+  parentPort.postMessage(run());
+} catch (error) {
+  parentPort.postMessage({ error: describeError(error) });
+}
+
+function run() {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  vm.runInContext(BOOTSTRAP, context)(globals, MAX_LOGS, MAX_LOG_LENGTH);
+
+  // Line 1 of the user's code is line 1 of the script
+  const userFunction = new vm.Script(
+    `(async function (items, $node, $trigger) {\n${code}\n})`,
+    { filename: FILENAME, lineOffset: -1 }
+  ).runInContext(context);
+
+  // This only queues the call. With afterEvaluate the context's promises run
+  // when the next script finishes, so the timeout covers async code too.
+  const sandbox = vm.runInContext('__sandbox', context);
+  vm.runInContext(RUN, context)(sandbox, userFunction);
+  vm.runInContext('undefined', context, { timeout: timeoutMs });
+
+  const logs = JSON.parse(vm.runInContext('JSON.stringify(__sandbox.logs)', context));
+
+  if (!sandbox.done) {
+    return { logs, error: { message: 'Code never finished (is it waiting on a promise that never settles?)' } };
+  }
+  if (sandbox.error !== undefined) {
+    return { logs, error: describeError(sandbox.error) };
+  }
+
+  return { logs, value: JSON.parse(sandbox.value) };
+}
+
+// "Line 3: ReferenceError: total is not defined"
+function describeError(error) {
+  if (!error || typeof error !== 'object') {
+    return { message: `Uncaught ${String(error)}` };
+  }
+
+  const message = `${error.name || 'Error'}: ${error.message}`;
+  const line = findLine(error);
+
+  return line ? { message: `Line ${line}: ${message}`, line } : { message };
+}
+
+function findLine(error) {
+  const match = String(error.stack || '').match(new RegExp(`${FILENAME.replace('.', '\\.')}:(\\d+)`));
+  return match ? Number(match[1]) : null;
+}
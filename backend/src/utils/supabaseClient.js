@@ -8,7 +8,7 @@ import { createClient } from '@supabase/supabase-js';
 // Think of this like connecting to a database - we do it once and reuse it
 const supabase = createClient(
   process.env.SUPABASE_URL,      // Your Supabase project URL
-  process.env.SUPABASE_KEY       // Your Supabase anonymous key
+  process.env.SUPABASE_KEY       // Your Supabase service role key (server only)
 );
 
 export default supabase;
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+describe('auth', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('registers, signs in and stores only a password hash', async () => {
+    const registered = await server.request('POST', '/api/auth/register', {
+      email: 'Ama@Example.com', password: 'correct-horse-battery', name: 'Ama'
+    });
+    assert.equal(registered.status, 201);
+    assert.deepEqual(registered.body.user, { id: registered.body.user.id, email: 'ama@example.com', name: 'Ama' });
+
+    const login = await server.request('POST', '/api/auth/login', { email: 'ama@example.com', password: 'correct-horse-battery' });
+    assert.equal(login.status, 200);
+
+    const me = await server.request('GET', '/api/auth/me', undefined, { authorization: `Bearer ${login.body.token}` });
+    assert.equal(me.body.user.email, 'ama@example.com');
+
+    const [row] = server.db.table('users');
+    assert.match(row.password_hash, /^scrypt\$/);
+    assert.doesNotMatch(row.password_hash, /correct-horse-battery/);
+  });
+
+  test('rejects short passwords and taken emails', async () => {
+    const short = await server.request('POST', '/api/auth/register', { email: 'kofi@example.com', password: 'short' });
+    assert.equal(short.status, 400);
+
+    await server.signUp('kofi@example.com');
+    const taken = await server.request('POST', '/api/auth/register', { email: 'kofi@example.com', password: 'another-password' });
+    assert.equal(taken.status, 409);
+  });
+
+  test('answers an unknown email like a wrong password, and as slowly', async () => {
+    await server.signUp('esi@example.com');
+
+    const timeLogin = async email => {
+      const started = process.hrtime.bigint();
+      const res = await server.request('POST', '/api/auth/login', { email, password: 'wrong-password' });
+      return { res, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+    };
+    const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+    const wrong = [];
+    const unknown = [];
+    for (let i = 0; i < 5; i++) {
+      const a = await timeLogin('esi@example.com');
+      const b = await timeLogin('nobody@example.com');
+      assert.equal(a.res.status, 401);
+      assert.deepEqual(b.res, a.res);
+      wrong.push(a.ms);
+      unknown.push(b.ms);
+    }
+
+    // Both go through scrypt; without it the unknown email answers many times faster
+    assert.ok(median(unknown) > median(wrong) / 2, `unknown ${median(unknown)}ms, wrong ${median(wrong)}ms`);
+  });
+
+  test('rejects missing, invalid and tampered tokens', async () => {
+    const api = await server.signUp('yaw@example.com');
+    const [header, payload] = (await server.request('POST', '/api/auth/login', {
+      email: 'yaw@example.com', password: 'correct-horse-battery'
+    })).body.token.split('.');
+    const forged = `${header}.${payload}.c2lnbmF0dXJl`;
+
+    assert.equal((await server.request('GET', '/api/workflows')).status, 401);
+    assert.equal((await server.request('GET', '/api/workflows', undefined, { authorization: 'Bearer junk' })).status, 401);
+    assert.equal((await server.request('GET', '/api/workflows', undefined, { authorization: `Bearer ${forged}` })).status, 401);
+    assert.equal((await api('GET', '/api/workflows')).status, 200);
+  });
+
+  test('API keys work until they are deleted, and only by their owner', async () => {
+    const owner = await server.signUp('abena@example.com');
+    const other = await server.signUp('kwame@example.com');
+
+    const created = await owner('POST', '/api/auth/api-keys', { name: 'ci' });
+    assert.equal(created.status, 201);
+    const { id, key } = created.body.apiKey;
+
+    const stored = server.db.table('api_keys').find(row => row.id === id);
+    assert.notEqual(stored.key_hash, key);
+    assert.ok(!JSON.stringify(stored).includes(key));
+
+    const listed = (await owner('GET', '/api/auth/api-keys')).body.apiKeys;
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].key, undefined);
+
+    const viaHeader = await server.request('GET', '/api/auth/me', undefined, { 'x-api-key': key });
+    assert.equal(viaHeader.body.user.email, 'abena@example.com');
+    assert.equal(viaHeader.body.user.authMethod, 'api_key');
+
+    assert.equal((await other('DELETE', `/api/auth/api-keys/${id}`)).status, 404);
+    assert.equal((await owner('DELETE', `/api/auth/api-keys/${id}`)).status, 200);
+    assert.equal((await server.request('GET', '/api/auth/me', undefined, { 'x-api-key': key })).status, 401);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter, mapWithConcurrency } from '../src/utils/concurrency.js';
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('keeps the order of the items and the limit', async () => {
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await tick(ms);
+      running--;
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(mostRunning, 2);
+  });
+
+  test('starts nothing new after the first error and throws it', async () => {
+    const started = [];
+
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3, 4], 1, async item => {
+        started.push(item);
+        if (item === 2) throw new Error('item 2 failed');
+      }),
+      /item 2 failed/
+    );
+    assert.deepEqual(started, [1, 2]);
+  });
+});
+
+describe('createLimiter', () => {
+  test('lets at most `limit` holders in and hands slots on in order', async () => {
+    const limiter = createLimiter(2);
+    const order = [];
+
+    await limiter.acquire();
+    await limiter.acquire();
+    const third = limiter.acquire().then(() => order.push('third'));
+    const fourth = limiter.acquire().then(() => order.push('fourth'));
+
+    await tick();
+    assert.equal(limiter.active, 2);
+    assert.deepEqual(order, []);
+
+    limiter.release();
+    await third;
+    limiter.release();
+    await fourth;
+    assert.deepEqual(order, ['third', 'fourth']);
+
+    limiter.release();
+    limiter.release();
+    assert.equal(limiter.active, 0);
+  });
+});
@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGroup, evaluateRule } from '../src/utils/conditions.js';
+
+const scope = { $item: { name: 'Kofi', age: '31', tags: ['a', 'b'] } };
+
+describe('evaluateRule', () => {
+  test('compares loosely typed values', () => {
+    assert.equal(evaluateRule({ field: 'age', operator: 'equals', value: 31 }, scope), true);
+    assert.equal(evaluateRule({ field: 'age', operator: 'greater_than', value: 30 }, scope), true);
+    assert.equal(evaluateRule({ field: 'tags', operator: 'contains', value: 'b' }, scope), true);
+    assert.equal(evaluateRule({ field: 'missing', operator: 'not_exists' }, scope), true);
+  });
+
+  test('matches regexes with flags', () => {
+    assert.equal(evaluateRule({ field: 'name', operator: 'regex', value: '^ko', flags: 'i' }, scope), true);
+    assert.equal(evaluateRule({ field: 'name', operator: 'regex', value: '^ko' }, scope), false);
+  });
+
+  test('reports an invalid regex', () => {
+    assert.throws(() => evaluateRule({ field: 'name', operator: 'regex', value: '(' }, scope), /Invalid regex "\("/);
+  });
+
+  test('stops a regex that backtracks for too long', () => {
+    const slow = { $item: { text: `${'a'.repeat(40)}!` } };
+    const started = Date.now();
+
+    assert.throws(
+      () => evaluateRule({ field: 'text', operator: 'regex', value: '^(a+)+$' }, slow),
+      /took longer than 100ms and was stopped/
+    );
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+describe('evaluateGroup', () => {
+  test('combines nested groups', () => {
+    const group = {
+      combinator: 'or',
+      conditions: [
+        { field: 'name', operator: 'equals', value: 'Ama' },
+        { combinator: 'and', conditions: [
+          { field: 'age', operator: 'less_than', value: 40 },
+          { field: 'tags', operator: 'contains', value: 'a' }
+        ] }
+      ]
+    };
+
+    assert.equal(evaluateGroup(group, scope), true);
+  });
+});
@@ -0,0 +1,124 @@
+import './helpers/env.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, waitFor } from './helpers/server.js';
+import { encryptJson, decryptJson } from '../src/utils/encryption.js';
+import { collectSecrets, redactSecrets, REDACTED } from '../src/utils/redact.js';
+
+const KEY = 'a'.repeat(64);
+
+describe('credential encryption', () => {
+  before(() => { process.env.CREDENTIALS_KEY = KEY; });
+  after(() => { delete process.env.CREDENTIALS_KEY; });
+
+  test('decrypts what it encrypted, with a new IV every time', () => {
+    const data = { token: 'secret-token', nested: { port: 5432 } };
+    const first = encryptJson(data);
+    const second = encryptJson(data);
+
+    assert.notEqual(first, second);
+    assert.ok(!first.includes('secret-token'));
+    assert.deepEqual(decryptJson(first), data);
+    assert.deepEqual(decryptJson(second), data);
+  });
+
+  test('refuses a tampered value or the wrong key', () => {
+    const [iv, tag, ciphertext] = encryptJson({ token: 'secret-token' }).split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+    assert.throws(() => decryptJson([iv, tag, flipped.toString('base64')].join(':')), /Could not decrypt credential/);
+
+    const encrypted = encryptJson({ token: 'secret-token' });
+    process.env.CREDENTIALS_KEY = 'b'.repeat(64);
+    try {
+      assert.throws(() => decryptJson(encrypted), /wrong CREDENTIALS_KEY/);
+    } finally {
+      process.env.CREDENTIALS_KEY = KEY;
+    }
+  });
+
+  test('needs a 32 byte key', () => {
+    process.env.CREDENTIALS_KEY = 'too-short';
+    try {
+      assert.throws(() => encryptJson({}), /must be 32 bytes/);
+    } finally {
+      process.env.CREDENTIALS_KEY = KEY;
+    }
+  });
+});
+
+describe('redactSecrets', () => {
+  test('hides every secret wherever it appears, longest first', () => {
+    const secrets = new Set(collectSecrets({ token: 'abcd', longer: 'abcd-efgh', short: 'ab', port: 5432 }));
+    const value = { url: 'https://api.example.com/?key=abcd-efgh', list: ['abcd', 'ab', 5432], at: new Date(0) };
+
+    assert.deepEqual(redactSecrets(value, secrets), {
+      url: `https://api.example.com/?key=${REDACTED}`,
+      list: [REDACTED, 'ab', 5432],
+      at: new Date(0)
+    });
+  });
+});
+
+describe('credentials in runs', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp('secrets@example.com');
+  });
+
+  after(() => server.stop());
+
+  test('are stored encrypted and never returned', async () => {
+    const created = await api('POST', '/api/credentials', { name: 'API', data: { token: 'stored-secret-token' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.credential.data, undefined);
+
+    const row = server.db.table('credentials').find(credential => credential.id === created.body.credential.id);
+    assert.ok(!JSON.stringify(row).includes('stored-secret-token'));
+
+    const read = await api('GET', `/api/credentials/${row.id}`);
+    assert.ok(!JSON.stringify(read.body).includes('stored-secret-token'));
+  });
+
+  test('are redacted from step outputs, errors and the execution data', async () => {
+    const credentialId = (await api('POST', '/api/credentials', { name: 'Bank', data: { token: 'run-secret-token' } })).body.credential.id;
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Leaky' })).body.workflow.id;
+    const saved = await api('PUT', `/api/workflows/${workflowId}/graph`, {
+      revision: 0,
+      nodes: [
+        { id: 'start', node_type: 'trigger', label: 'Start', config: { type: 'manual' } },
+        { id: 'echo', node_type: 'action', label: 'Echo', config: { type: 'return', value: 'token={{ $credential.token }}', credentialId } },
+        {
+          id: 'fail',
+          node_type: 'transform',
+          label: 'Fail',
+          config: { type: 'code', code: 'throw new Error("rejected {{ $credential.token }}")', credentialId }
+        }
+      ],
+      edges: [{ source_node_id: 'start', target_node_id: 'echo' }, { source_node_id: 'echo', target_node_id: 'fail' }]
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+    const executionId = (await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId;
+    await waitFor(async () => (await api('GET', `/api/executions/${executionId}/status`)).body.finished);
+
+    const status = (await api('GET', `/api/executions/${executionId}/status`)).body;
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /rejected \[REDACTED\]/);
+
+    const { steps } = (await api('GET', `/api/executions/${executionId}/steps`)).body;
+    const [echo, fail] = steps.slice(1);
+    assert.equal(echo.output.result.value, `token=${REDACTED}`);
+    assert.equal(echo.config.value, `token=${REDACTED}`);
+    assert.match(fail.error_message, /rejected \[REDACTED\]/);
+
+    const stored = JSON.stringify([
+      server.db.table('executions').find(execution => execution.id === executionId),
+      server.db.table('execution_steps').filter(step => step.execution_id === executionId)
+    ]);
+    assert.ok(!stored.includes('run-secret-token'));
+  });
+});
@@ -0,0 +1,185 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, waitFor } from './helpers/server.js';
+
+describe('execution engine', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp('engine@example.com');
+  });
+
+  after(() => server.stop());
+
+  const code = (label, source, settings = {}) =>
+    ({ id: label, node_type: 'transform', label, config: { type: 'code', code: source, ...settings } });
+  const edge = (source, target, source_handle) =>
+    ({ source_node_id: source, target_node_id: target, source_handle });
+
+  // Saves the nodes after a trigger called "Start" in a new workflow
+  const save = async (nodes, edges, trigger = { type: 'manual' }) => {
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Engine' })).body.workflow.id;
+    const saved = await api('PUT', `/api/workflows/${workflowId}/graph`, {
+      revision: 0,
+      nodes: [{ id: 'Start', node_type: 'trigger', label: 'Start', config: trigger }, ...nodes],
+      edges
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    return workflowId;
+  };
+
+  // Waits for the run to finish and returns its status and steps by node label
+  const finished = async executionId => {
+    let status;
+    await waitFor(async () => {
+      status = (await api('GET', `/api/executions/${executionId}/status`)).body;
+      return status.finished;
+    });
+
+    const { steps } = (await api('GET', `/api/executions/${executionId}/steps`)).body;
+    return { executionId, status, steps: Object.fromEntries(steps.map(step => [step.node_label, step])) };
+  };
+
+  const execute = async workflowId =>
+    finished((await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId);
+
+  const run = async (nodes, edges) => execute(await save(nodes, edges));
+
+  // ========== ORDER ==========
+  test('a diamond runs its join node once, with both branches as input', async () => {
+    const { executionId, status, steps } = await run([
+      code('Left', 'return { side: "left" }'),
+      code('Right', 'return { side: "right" }'),
+      code('Join', 'return { sides: items.map(item => item.side).sort() }')
+    ], [edge('Start', 'Left'), edge('Start', 'Right'), edge('Left', 'Join'), edge('Right', 'Join')]);
+
+    assert.equal(status.status, 'completed');
+    const joins = server.db.table('execution_steps').filter(step => step.execution_id === executionId && step.node_label === 'Join');
+    assert.equal(joins.length, 1);
+    assert.deepEqual(steps.Join.output.result.items, [{ sides: ['left', 'right'] }]);
+    assert.deepEqual(Object.keys(steps.Join.input).sort(), [steps.Left.node_id, steps.Right.node_id].sort());
+  });
+
+  test('a cycle fails the run before any node runs, naming the nodes', async () => {
+    const workflowId = await save([code('Fetch', 'return {}'), code('Parse', 'return {}')], [
+      edge('Start', 'Fetch'),
+      edge('Fetch', 'Parse')
+    ], { type: 'webhook', path: 'loop' });
+    // The API refuses to save a cycle, so it is added behind its back
+    const byLabel = label => server.db.table('nodes').find(node => node.workflow_id === workflowId && node.label === label);
+    server.db.table('edges').push({
+      id: crypto.randomUUID(),
+      workflow_id: workflowId,
+      source_node_id: byLabel('Parse').id,
+      target_node_id: byLabel('Fetch').id,
+      source_handle: null,
+      created_at: new Date().toISOString()
+    });
+    const cycle = /cycle: "(Fetch|Parse)" → "(Fetch|Parse)" → "(Fetch|Parse)"/;
+
+    // The run route checks the graph before queueing anything
+    const refused = await api('POST', `/api/executions/run/${workflowId}`, {});
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.errors.map(issue => issue.message).join('\n'), cycle);
+
+    // A webhook goes straight to the engine
+    const hook = await server.request('POST', `/api/hooks/${workflowId}/loop`, {});
+    assert.equal(hook.status, 202);
+    const { status, steps } = await finished(hook.body.executionId);
+
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, cycle);
+    assert.deepEqual(steps, {});
+  });
+
+  // ========== JOINS ==========
+  test('a combine node gets its inputs in the same order on every run', async () => {
+    const nodes = [
+      code('A', 'return { from: "a" }'),
+      code('B', 'return { from: "b" }'),
+      { id: 'Join', node_type: 'transform', label: 'Join', config: { type: 'combine' } }
+    ];
+    // The edge into Join from B is stored first
+    const edges = [edge('Start', 'A'), edge('Start', 'B'), edge('B', 'Join'), edge('A', 'Join')];
+
+    const workflowId = await save(nodes, edges);
+    const runs = [];
+    for (let i = 0; i < 3; i++) {
+      const { steps } = await execute(workflowId);
+      // Sources come in the order they started in, not the order of the edges
+      const started = ['A', 'B'].sort((a, b) => steps[a].step_index - steps[b].step_index);
+      assert.deepEqual(steps.Join.output.result.items.map(item => item.from), started.map(label => label.toLowerCase()));
+      runs.push(started);
+    }
+
+    assert.deepEqual(runs[1], runs[0]);
+    assert.deepEqual(runs[2], runs[0]);
+  });
+
+  // ========== RETRY, TIMEOUT AND ON ERROR ==========
+  test('retries a failing node and records every attempt', async () => {
+    const { status, steps } = await run([
+      code('Flaky', 'throw new Error("down")', { retry: { attempts: 3, delayMs: 0 } })
+    ], [edge('Start', 'Flaky')]);
+
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /Node "Flaky": .*down/);
+    assert.equal(steps.Flaky.attempts.length, 3);
+    assert.ok(steps.Flaky.attempts.every(attempt => /down/.test(attempt.error)));
+  });
+
+  test('fails a node that runs past its timeout', async () => {
+    const started = Date.now();
+    const { status, steps } = await run([
+      code('Stuck', 'while (true) {}', { timeoutMs: 200, cpuLimitMs: 10000 })
+    ], [edge('Start', 'Stuck')]);
+
+    assert.equal(status.status, 'failed');
+    assert.equal(steps.Stuck.error_message, 'Timed out after 200ms');
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  test("onError 'continue' keeps the error as the output and carries on", async () => {
+    const { status, steps } = await run([
+      code('Broken', 'throw new Error("bad")', { onError: 'continue' }),
+      code('After', 'return { error: $node["Broken"].error }')
+    ], [edge('Start', 'Broken'), edge('Broken', 'After')]);
+
+    assert.equal(status.status, 'completed');
+    assert.equal(steps.Broken.status, 'failed');
+    assert.equal(steps.After.status, 'success');
+    assert.deepEqual(steps.After.output.result.items, [{ error: steps.Broken.error_message }]);
+  });
+
+  test("onError 'route' only follows the error handle", async () => {
+    const { status, steps } = await run([
+      code('Broken', 'throw new Error("bad")', { onError: 'route' }),
+      code('Handled', 'return {}'),
+      code('Normal', 'return {}')
+    ], [edge('Start', 'Broken'), edge('Broken', 'Handled', 'error'), edge('Broken', 'Normal')]);
+
+    assert.equal(status.status, 'completed');
+    assert.equal(steps.Handled.status, 'success');
+    assert.equal(steps.Normal.status, 'skipped');
+  });
+
+  test("a condition that fails with onError 'continue' runs none of its branches", async () => {
+    const { status, steps } = await run([
+      {
+        id: 'Check',
+        node_type: 'condition',
+        label: 'Check',
+        config: { conditions: [{ field: '$trigger', operator: 'regex', value: '(' }], onError: 'continue' }
+      },
+      code('Yes', 'return {}'),
+      code('No', 'return {}')
+    ], [edge('Start', 'Check'), edge('Check', 'Yes', 'true'), edge('Check', 'No', 'false')]);
+
+    assert.equal(status.status, 'completed');
+    assert.match(steps.Check.error_message, /Invalid regex/);
+    assert.equal(steps.Yes.status, 'skipped');
+    assert.equal(steps.No.status, 'skipped');
+  });
+});
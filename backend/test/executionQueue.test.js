@@ -0,0 +1,170 @@
+import './helpers/env.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createMemoryQueue, startWorkerPool } from '../src/services/executionQueue.js';
+import { startServer, waitFor } from './helpers/server.js';
+
+// ========== MEMORY QUEUE ==========
+describe('createMemoryQueue', () => {
+  test('hands out jobs in the order they were queued', async () => {
+    const queue = createMemoryQueue();
+    await queue.enqueue('a');
+    await queue.enqueue('b');
+
+    assert.equal(queue.size(), 2);
+    assert.equal(await queue.dequeue(), 'a');
+    assert.equal(await queue.dequeue(), 'b');
+    assert.equal(queue.size(), 0);
+  });
+
+  test('a waiting dequeue gets the next job straight away', async () => {
+    const queue = createMemoryQueue();
+    const next = queue.dequeue();
+    await queue.enqueue('a');
+
+    assert.equal(await next, 'a');
+    assert.equal(queue.size(), 0);
+  });
+});
+
+// ========== WORKER POOL ==========
+describe('startWorkerPool', () => {
+  test('runs at most workerCount jobs at the same time', async () => {
+    const queue = createMemoryQueue();
+    let running = 0;
+    let mostRunning = 0;
+    const done = [];
+
+    startWorkerPool(queue, 2, async job => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      done.push(job);
+    });
+
+    for (let i = 0; i < 6; i++) await queue.enqueue(i);
+    await waitFor(() => done.length === 6);
+
+    assert.equal(mostRunning, 2);
+  });
+
+  test('a failing job does not stop its worker', async () => {
+    const queue = createMemoryQueue();
+    const done = [];
+
+    startWorkerPool(queue, 1, async job => {
+      if (job === 'bad') throw new Error('boom');
+      done.push(job);
+    });
+
+    await queue.enqueue('bad');
+    await queue.enqueue('good');
+    await waitFor(() => done.length === 1);
+
+    assert.deepEqual(done, ['good']);
+  });
+});
+
+// ========== QUEUED RUNS ==========
+describe('queued workflow runs', () => {
+  let server;
+  let api;
+  let upstream;
+  let inFlight = 0;
+  let mostInFlight = 0;
+
+  before(async () => {
+    // Every run of the workflow calls this endpoint, which answers slowly
+    upstream = http.createServer((req, res) => {
+      inFlight++;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        res.setHeader('content-type', 'application/json');
+        res.end('{"ok":true}');
+      }, 300);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    server = await startServer({ EXECUTION_WORKERS: '2' });
+    api = await server.signUp('queue@example.com');
+  });
+
+  after(async () => {
+    await server.stop();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  async function createSlowWorkflow() {
+    const { body } = await api('POST', '/api/workflows', { name: 'Slow' });
+    const workflowId = body.workflow.id;
+
+    const node = async (label, node_type, config) =>
+      (await api('POST', '/api/nodes', { workflow_id: workflowId, label, node_type, config })).body.node.id;
+
+    const trigger = await node('Start', 'trigger', { type: 'manual' });
+    const call = await node('Call', 'data', { source: 'http', url: `http://127.0.0.1:${upstream.address().port}/slow` });
+    await api('POST', '/api/edges', { workflow_id: workflowId, source_node_id: trigger, target_node_id: call });
+
+    return workflowId;
+  }
+
+  const statusOf = async executionId =>
+    (await api('GET', `/api/executions/${executionId}/status`)).body.status;
+
+  test('no more runs at once than EXECUTION_WORKERS', async () => {
+    const workflowId = await createSlowWorkflow();
+    mostInFlight = 0;
+
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+      ids.push((await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId);
+    }
+    await waitFor(async () => (await Promise.all(ids.map(statusOf))).every(s => s === 'completed'), 10000);
+
+    assert.equal(mostInFlight, 2);
+  });
+
+  test('the status of an unfinished run says how many runs are waiting', async () => {
+    const workflowId = await createSlowWorkflow();
+
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+      ids.push((await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId);
+    }
+    const waiting = (await api('GET', `/api/executions/${ids[3]}/status`)).body;
+    await waitFor(async () => (await Promise.all(ids.map(statusOf))).every(s => s === 'completed'), 10000);
+    const finished = (await api('GET', `/api/executions/${ids[3]}/status`)).body;
+
+    // Two workers take the first two runs
+    assert.equal(waiting.queueSize, 2);
+    assert.equal('queueSize' in finished, false);
+  });
+
+  test('a run cancelled while still queued never starts', async () => {
+    const workflowId = await createSlowWorkflow();
+
+    // Two runs keep both workers busy, so the third one waits in the queue
+    const busy = [];
+    for (let i = 0; i < 2; i++) {
+      busy.push((await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId);
+    }
+    const queued = (await api('POST', `/api/executions/run/${workflowId}`, {})).body.executionId;
+
+    const cancel = await api('POST', `/api/executions/${queued}/cancel`);
+    assert.equal(cancel.status, 202);
+
+    await waitFor(async () => (await Promise.all(busy.map(statusOf))).every(s => s === 'completed'), 10000);
+    // Give a worker the time to pick the cancelled job up
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.equal(await statusOf(queued), 'cancelled');
+    const steps = await api('GET', `/api/executions/${queued}/steps`);
+    assert.equal(steps.body.steps.length, 0);
+
+    const again = await api('POST', `/api/executions/${queued}/cancel`);
+    assert.equal(again.status, 409);
+  });
+});
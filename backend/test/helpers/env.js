@@ -0,0 +1,6 @@
+// test/helpers/env.js
+// Import first in tests that load server modules directly: the Supabase
+// client is created on import and needs a URL, even if no query is made.
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:1';
+process.env.SUPABASE_KEY ||= 'test-key';
@@ -0,0 +1,273 @@
+// test/helpers/fakeSupabase.js
+// In-memory stand-in for the PostgREST API of a Supabase project
+//
+// Covers what the server uses: filters, order, limit/offset, single rows,
+// inserts, updates, deletes and the save_workflow_graph and
+// record_workflow_version functions. The
+// triggers and unique keys from migrations/ are emulated as well:
+//   - nodes, edges and executions get owner_id from their workflow
+//   - a change to nodes or edges bumps workflows.revision
+//   - duplicate unique keys fail with code 23505
+//   - column defaults the server relies on are filled in
+// Tables are plain arrays in `tables`, so tests can look at what was stored,
+// and failNextCall(name) makes the next call of a database function fail.
+
+import http from 'http';
+import crypto from 'crypto';
+
+const OWNED_BY_WORKFLOW = ['nodes', 'edges', 'executions'];
+const BUMP_REVISION = ['nodes', 'edges'];
+
+const UNIQUE_KEYS = {
+  workflow_versions: [['workflow_id', 'version_number']],
+  users: [['email']],
+  api_keys: [['key_hash']]
+};
+
+const COLUMN_DEFAULTS = {
+  workflows: { revision: 0 }
+};
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'];
+
+export async function startFakeSupabase() {
+  const tables = {};
+  const table = name => (tables[name] ||= []);
+  const failing = new Set();
+
+  // ========== TRIGGERS ==========
+  function setOwner(name, row) {
+    if (OWNED_BY_WORKFLOW.includes(name)) {
+      const workflow = table('workflows').find(w => w.id === row.workflow_id);
+      row.owner_id = workflow ? workflow.owner_id ?? null : null;
+    }
+    return row;
+  }
+
+  function bumpRevision(name, rows) {
+    if (!BUMP_REVISION.includes(name)) return;
+    new Set(rows.map(row => row.workflow_id)).forEach(workflowId => {
+      const workflow = table('workflows').find(w => w.id === workflowId);
+      if (workflow) workflow.revision++;
+    });
+  }
+
+  function findDuplicate(name, row) {
+    return (UNIQUE_KEYS[name] || []).some(columns =>
+      table(name).some(existing => columns.every(column => existing[column] === row[column]))
+    );
+  }
+
+  // ========== RPC ==========
+  function saveWorkflowGraph(args) {
+    const workflow = table('workflows').find(w => w.id === args.p_workflow_id);
+    if (!workflow) return [404, { code: 'PT404', message: 'Workflow not found' }];
+
+    if (args.p_revision !== null && args.p_revision !== workflow.revision) {
+      return [409, { code: 'PT409', message: 'Workflow was changed elsewhere' }];
+    }
+
+    const deletedNodes = new Set(args.p_delete_node_ids);
+    tables.edges = table('edges').filter(edge => !(edge.workflow_id === workflow.id && (
+      args.p_delete_edge_ids.includes(edge.id) ||
+      deletedNodes.has(edge.source_node_id) ||
+      deletedNodes.has(edge.target_node_id)
+    )));
+    tables.nodes = table('nodes').filter(node => !(node.workflow_id === workflow.id && deletedNodes.has(node.id)));
+
+    const upsert = (name, rows) => rows.forEach(row => {
+      const existing = table(name).find(r => r.id === row.id);
+      if (existing) {
+        Object.assign(existing, row, { updated_at: new Date().toISOString() });
+      } else {
+        table(name).push(setOwner(name, { ...row, workflow_id: workflow.id, created_at: new Date().toISOString() }));
+      }
+    });
+    upsert('nodes', args.p_upsert_nodes);
+    upsert('edges', args.p_upsert_edges);
+
+    workflow.revision++;
+    return [200, workflow.revision];
+  }
+
+  function recordWorkflowVersion(args) {
+    const workflow = table('workflows').find(w => w.id === args.p_workflow_id);
+    if (!workflow) return [404, { code: 'PT404', message: 'Workflow not found' }];
+
+    const versions = table('workflow_versions').filter(v => v.workflow_id === workflow.id);
+    const byCreation = rows => [...rows]
+      .filter(row => row.workflow_id === workflow.id)
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.id, b.id));
+    const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+    const version = {
+      id: args.p_version_id,
+      workflow_id: workflow.id,
+      version_number: Math.max(0, ...versions.map(v => v.version_number)) + 1,
+      workflow: pick(workflow, ['name', 'description', 'max_concurrency']),
+      nodes: byCreation(table('nodes')).map(node => pick(node, ['id', 'node_type', 'label', 'config', 'position_x', 'position_y'])),
+      edges: byCreation(table('edges')).map(edge => pick(edge, ['id', 'source_node_id', 'target_node_id', 'source_handle'])),
+      author: args.p_author,
+      message: args.p_message,
+      created_at: new Date().toISOString()
+    };
+    table('workflow_versions').push(version);
+    workflow.current_version_id = version.id;
+
+    return [200, JSON.parse(JSON.stringify(version))];
+  }
+
+  const RPCS = {
+    save_workflow_graph: saveWorkflowGraph,
+    record_workflow_version: recordWorkflowVersion
+  };
+
+  // ========== QUERIES ==========
+  function handle(method, url, headers, body) {
+    const rpc = url.pathname.match(/^\/rest\/v1\/rpc\/(\w+)$/);
+    if (rpc) {
+      if (!RPCS[rpc[1]]) return [404, { message: `Unknown function ${rpc[1]}` }];
+      if (failing.delete(rpc[1])) return [500, { code: 'XX000', message: `${rpc[1]} failed` }];
+      return RPCS[rpc[1]](JSON.parse(body));
+    }
+
+    const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+    if (!match) return [404, { message: `Unknown path ${url.pathname}` }];
+
+    const name = match[1];
+    const params = [...url.searchParams.entries()];
+    const prefer = headers.prefer || '';
+    let rows;
+
+    if (method === 'GET' || method === 'HEAD') {
+      rows = applyFilters(table(name), params);
+      const order = url.searchParams.get('order');
+      if (order) {
+        const columns = order.split(',').map(part => part.split('.'));
+        rows = [...rows].sort((a, b) => {
+          for (const [column, direction] of columns) {
+            const result = compare(a[column], b[column]) * (direction === 'desc' ? -1 : 1);
+            if (result !== 0) return result;
+          }
+          return 0;
+        });
+      }
+      const offset = Number(url.searchParams.get('offset') || 0);
+      const limit = url.searchParams.get('limit');
+      rows = rows.slice(offset, limit ? offset + Number(limit) : undefined);
+    } else if (method === 'POST') {
+      rows = [];
+      for (const input of [].concat(JSON.parse(body))) {
+        const now = new Date().toISOString();
+        const row = setOwner(name, { id: crypto.randomUUID(), created_at: now, updated_at: now, ...COLUMN_DEFAULTS[name], ...input });
+        if (table(name).some(existing => existing.id === row.id) || findDuplicate(name, row)) {
+          return [409, { code: '23505', message: `duplicate key value violates unique constraint on ${name}` }];
+        }
+        table(name).push(row);
+        rows.push(row);
+      }
+      bumpRevision(name, rows);
+    } else if (method === 'PATCH') {
+      rows = applyFilters(table(name), params);
+      rows.forEach(row => Object.assign(row, JSON.parse(body)));
+      bumpRevision(name, rows);
+    } else if (method === 'DELETE') {
+      rows = applyFilters(table(name), params);
+      tables[name] = table(name).filter(row => !rows.includes(row));
+      bumpRevision(name, rows);
+    }
+
+    rows = JSON.parse(JSON.stringify(rows));
+
+    if ((headers.accept || '').includes('vnd.pgrst.object')) {
+      if (rows.length !== 1) {
+        return [406, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }];
+      }
+      return [200, rows[0]];
+    }
+    if (method !== 'GET' && !prefer.includes('return=representation')) {
+      return [204, null];
+    }
+    return [200, rows];
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let status, payload;
+      try {
+        [status, payload] = handle(req.method, new URL(req.url, 'http://localhost'), req.headers, body);
+      } catch (error) {
+        [status, payload] = [400, { message: error.message }];
+      }
+      if (payload === null) {
+        res.writeHead(status);
+        return res.end();
+      }
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tables,
+    table,
+    failNextCall: name => failing.add(name),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// ========== FILTERS ==========
+
+function applyFilters(rows, params) {
+  return rows.filter(row => params.every(([key, value]) => {
+    if (RESERVED_PARAMS.includes(key)) return true;
+    if (key === 'or') return matchesAny(row, value);
+    const [operator, ...rest] = value.split('.');
+    return matches(row[key], operator, rest.join('.'));
+  }));
+}
+
+// or=(source_node_id.eq.1,target_node_id.eq.1)
+function matchesAny(row, expression) {
+  return expression.replace(/^\(|\)$/g, '').split(',').some(part => {
+    const [column, operator, ...rest] = part.split('.');
+    return matches(row[column], operator, rest.join('.'));
+  });
+}
+
+function matches(actual, operator, value) {
+  switch (operator) {
+    case 'eq': return actual === parseValue(value) || String(actual) === value;
+    case 'neq': return String(actual) !== value;
+    case 'gt': return compare(actual, value) > 0;
+    case 'gte': return compare(actual, value) >= 0;
+    case 'lt': return compare(actual, value) < 0;
+    case 'lte': return compare(actual, value) <= 0;
+    case 'is': return value === 'null' ? actual === null || actual === undefined : actual === parseValue(value);
+    case 'in': return value.replace(/^\(|\)$/g, '').split(',').map(v => v.replace(/^"|"$/g, '')).includes(String(actual));
+    case 'not': {
+      const [inner, ...rest] = value.split('.');
+      return !matches(actual, inner, rest.join('.'));
+    }
+    default: throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+}
+
+function parseValue(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function compare(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a !== 'boolean' && !isNaN(Number(a)) && !isNaN(Number(b))) return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
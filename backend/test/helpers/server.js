@@ -0,0 +1,111 @@
+// test/helpers/server.js
+// Starts the real server (src/index.js) in a child process, backed by the
+// in-memory database from fakeSupabase.js
+//
+//   const server = await startServer({ EXECUTION_WORKERS: '1' });
+//   const alice = await server.signUp('alice@example.com');
+//   const { status, body } = await alice('POST', '/api/workflows', { name: 'Test' });
+//   await server.stop();
+
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startFakeSupabase } from './fakeSupabase.js';
+
+const BACKEND_DIR = fileURLToPath(new URL('../..', import.meta.url));
+const STARTUP_TIMEOUT_MS = 10000;
+
+export async function startServer(env = {}) {
+  const database = await startFakeSupabase();
+  const port = await findFreePort();
+
+  const child = spawn(process.execPath, ['src/index.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      SUPABASE_URL: database.url,
+      SUPABASE_KEY: 'test-key',
+      // Set here so a developer's .env can't change them
+      AUTH_PROVIDER: 'local',
+      AUTH_ALLOW_REGISTRATION: 'true',
+      AUTH_JWT_SECRET: 'test-jwt-secret',
+      CREDENTIALS_KEY: '0'.repeat(64),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', chunk => { logs += chunk; });
+  child.stderr.on('data', chunk => { logs += chunk; });
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await database.close();
+  };
+
+  // The workers start (and clean up interrupted runs) right after listening
+  try {
+    await waitFor(() => logs.includes('Execution workers started'), STARTUP_TIMEOUT_MS);
+  } catch (error) {
+    await stop();
+    throw new Error(`Server did not start:\n${logs}`);
+  }
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: response.status, body: json };
+  };
+
+  // Registers a user and returns a request function that sends their token
+  const signUp = async (email, password = 'correct-horse-battery') => {
+    const { status, body } = await request('POST', '/api/auth/register', { email, password });
+    if (status !== 201) {
+      throw new Error(`Could not register ${email}: ${status} ${JSON.stringify(body)}`);
+    }
+    const as = (method, path, data, headers = {}) =>
+      request(method, path, data, { authorization: `Bearer ${body.token}`, ...headers });
+    as.user = body.user;
+    return as;
+  };
+
+  return { db: database, request, signUp, stop, logs: () => logs };
+}
+
+// Polls until check() is true
+export async function waitFor(check, timeoutMs = 5000, intervalMs = 25) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
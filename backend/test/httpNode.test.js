@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { executeNodeType } from '../src/nodes/index.js';
+
+// Two local servers: `api` plays the API being called, `other` a second
+// origin that a next link can point to. Both record every request.
+function startRecordingServer(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    respond(req, res);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+const json = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const run = config => executeNodeType(
+  { node_type: 'data', label: 'HTTP', config: { source: 'http', ...config } },
+  { signal: new AbortController().signal }
+);
+
+describe('HTTP request node', () => {
+  let api;
+  let other;
+
+  before(async () => {
+    // Keep the node's progress lines out of the test output
+    mock.method(console, 'log', () => {});
+
+    other = await startRecordingServer((req, res) => json(res, 200, { items: [3] }));
+    api = await startRecordingServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === '/missing') return json(res, 404, { error: 'nope' });
+      if (pathname === '/pages') {
+        const page = Number(new URL(req.url, 'http://localhost').searchParams.get('page'));
+        return json(res, 200, { items: page <= 2 ? [page] : [] });
+      }
+      if (pathname === '/first') return json(res, 200, { items: [1], next: `${api.url}/second` });
+      if (pathname === '/second') return json(res, 200, { items: [2], next: `${other.url}/third` });
+      json(res, 200, { method: req.method, url: req.url });
+    });
+  });
+
+  after(async () => {
+    await api.close();
+    await other.close();
+  });
+
+  test('sends the method, query, headers and auth', async () => {
+    const output = await run({
+      method: 'POST',
+      url: `${api.url}/echo`,
+      query: { q: 'search term' },
+      headers: { 'X-Trace': 'abc' },
+      auth: { type: 'bearer', token: 'secret-token' },
+      body: { hello: 'world' }
+    });
+
+    assert.equal(output.data.status, 200);
+    assert.deepEqual(output.data.body, { method: 'POST', url: '/echo?q=search+term' });
+
+    const sent = api.requests.at(-1);
+    assert.equal(sent.headers.authorization, 'Bearer secret-token');
+    assert.equal(sent.headers['x-trace'], 'abc');
+  });
+
+  test('fails on a non-2xx response without leaking the query string', async () => {
+    await assert.rejects(
+      run({ url: `${api.url}/missing?token=secret`, query: { apiKey: 'also-secret' } }),
+      error => {
+        assert.match(error.message, /404/);
+        assert.doesNotMatch(error.message, /secret/);
+        return true;
+      }
+    );
+  });
+
+  test('returns the response instead with failOnError: false', async () => {
+    const output = await run({ url: `${api.url}/missing`, failOnError: false });
+    assert.equal(output.data.status, 404);
+    assert.deepEqual(output.data.body, { error: 'nope' });
+  });
+
+  test('page mode stops at the first empty page', async () => {
+    const output = await run({
+      url: `${api.url}/pages`,
+      pagination: { mode: 'page', pageParam: 'page', startPage: 1, itemsPath: 'items' }
+    });
+
+    assert.equal(output.data.pageCount, 3);
+    assert.deepEqual(output.data.items, [1, 2]);
+  });
+
+  test('follows next links, without credentials once they leave the origin', async () => {
+    const output = await run({
+      url: `${api.url}/first`,
+      headers: { Cookie: 'session=1' },
+      auth: { type: 'apiKey', name: 'X-Api-Key', value: 'key-1' },
+      pagination: { mode: 'nextLink', nextPath: 'next', itemsPath: 'items' }
+    });
+
+    assert.deepEqual(output.data.items, [1, 2, 3]);
+
+    const second = api.requests.find(request => request.url === '/second');
+    assert.equal(second.headers['x-api-key'], 'key-1');
+    assert.equal(second.headers.cookie, 'session=1');
+
+    const third = other.requests.at(-1);
+    assert.equal(third.url, '/third');
+    assert.equal(third.headers['x-api-key'], undefined);
+    assert.equal(third.headers.cookie, undefined);
+  });
+});
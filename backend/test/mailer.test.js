@@ -0,0 +1,146 @@
+import './helpers/env.js';
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { startServer, waitFor } from './helpers/server.js';
+import { executeNodeType } from '../src/nodes/index.js';
+import { sendEmail, getCapturedEmails, clearCapturedEmails } from '../src/services/mailer.js';
+
+const email = config => ({ node_type: 'action', label: 'Email', config: { type: 'email', from: 'robot@example.com', ...config } });
+
+describe('email action', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer({ EMAIL_TRANSPORT: 'capture' });
+    api = await server.signUp('mailer@example.com');
+  });
+
+  after(() => server.stop());
+
+  // Runs Start → Email with the payload and returns the run's status and the email step
+  const run = async (config, payload) => {
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Mail' })).body.workflow.id;
+    const saved = await api('PUT', `/api/workflows/${workflowId}/graph`, {
+      revision: 0,
+      nodes: [{ id: 'start', node_type: 'trigger', label: 'Start', config: { type: 'manual' } }, { id: 'email', ...email(config) }],
+      edges: [{ source_node_id: 'start', target_node_id: 'email' }]
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+    const executionId = (await api('POST', `/api/executions/run/${workflowId}`, { payload })).body.executionId;
+    let status;
+    await waitFor(async () => {
+      status = (await api('GET', `/api/executions/${executionId}/status`)).body;
+      return status.finished;
+    });
+
+    const { steps } = (await api('GET', `/api/executions/${executionId}/steps`)).body;
+    return { status, step: steps.find(step => step.node_label === 'Email') };
+  };
+
+  test('sends to templated recipients and returns the message id', async () => {
+    const { status, step } = await run({
+      to: '{{ $trigger.payload.customer }}',
+      cc: ['{{ $trigger.payload.manager }}', 'audit@example.com'],
+      bcc: '{{ $trigger.payload.archive }}',
+      subject: 'Order {{ $trigger.payload.order }}'
+    }, { customer: 'ama@example.com', manager: 'kofi@example.com', archive: 'archive@example.com', order: 42 });
+
+    const { result } = step.output;
+    assert.equal(status.status, 'completed');
+    assert.equal(result.sent, true);
+    assert.equal(result.transport, 'capture');
+    assert.match(result.messageId, /^<captured-\d+-\d+@localhost>$/);
+    assert.equal(result.subject, 'Order 42');
+    assert.deepEqual(result.accepted, ['ama@example.com', 'kofi@example.com', 'audit@example.com', 'archive@example.com']);
+  });
+
+  test('a send that fails fails the node', async () => {
+    // No from in the config and no EMAIL_FROM on the server
+    const { status, step } = await run({ from: undefined, to: 'ama@example.com' });
+
+    assert.equal(status.status, 'failed');
+    assert.equal(step.status, 'failed');
+    assert.match(step.error_message, /No sender address/);
+    assert.match(status.error, /Node "Email": No sender address/);
+  });
+});
+
+describe('email attachments', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    process.env.EMAIL_TRANSPORT = 'capture';
+  });
+
+  after(() => {
+    delete process.env.EMAIL_TRANSPORT;
+    clearCapturedEmails();
+  });
+
+  test('sends text, JSON and base64 attachments', async () => {
+    await executeNodeType(email({
+      to: 'ama@example.com',
+      body: { total: 3 },
+      attachments: [
+        { filename: 'notes.txt', content: 'hello' },
+        { filename: 'report.json', content: { items: [1, 2] }, contentType: 'application/json' },
+        { filename: 'logo.png', content: Buffer.from('png bytes').toString('base64'), encoding: 'base64' }
+      ]
+    }), { signal: new AbortController().signal });
+
+    const [sent] = getCapturedEmails();
+    assert.equal(sent.text, JSON.stringify({ total: 3 }, null, 2));
+    assert.deepEqual(sent.attachments.map(attachment => attachment.filename), ['notes.txt', 'report.json', 'logo.png']);
+    assert.equal(sent.attachments[0].content, 'hello');
+    assert.deepEqual(JSON.parse(sent.attachments[1].content), { items: [1, 2] });
+    assert.equal(sent.attachments[1].contentType, 'application/json');
+    assert.deepEqual(sent.attachments[2].content, Buffer.from('png bytes'));
+  });
+});
+
+describe('SMTP transport', () => {
+  let smtp;
+  let port;
+  const connections = [];
+
+  // Greets and answers EHLO, then never answers MAIL FROM, like a stuck server
+  before(async () => {
+    smtp = net.createServer(socket => {
+      const connection = { closed: false };
+      connections.push(connection);
+      socket.on('close', () => { connection.closed = true; });
+      socket.on('error', () => {});
+      socket.on('data', chunk => {
+        if (/^EHLO/m.test(chunk)) socket.write('250 localhost\r\n');
+      });
+      socket.write('220 localhost ESMTP\r\n');
+    });
+    await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+    port = smtp.address().port;
+
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+  });
+
+  after(async () => {
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => smtp.close(resolve));
+  });
+
+  test('closes the connection when the attempt is aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+
+    await assert.rejects(
+      sendEmail({ from: 'robot@example.com', to: 'ama@example.com', subject: 'Hi', text: 'Hi' }, { signal: controller.signal }),
+      /Email sending was aborted/
+    );
+    assert.equal(connections.length, 1);
+    await waitFor(() => connections[0].closed, 1000);
+  });
+});
@@ -0,0 +1,65 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNodeConfig } from '../src/nodes/index.js';
+import { startServer, waitFor } from './helpers/server.js';
+
+describe('validateNodeConfig', () => {
+  test('accepts expressions in place of numbers, booleans and enums', () => {
+    assert.deepEqual(validateNodeConfig('loop', { batchSize: '{{ $trigger.payload.size }}' }), []);
+    assert.deepEqual(validateNodeConfig('data', {
+      source: 'http',
+      url: 'https://api.example.com',
+      method: '{{ $trigger.payload.method }}',
+      failOnError: '{{ $trigger.payload.strict }}',
+      pagination: { mode: 'page', maxPages: '{{ $trigger.payload.pages }}' }
+    }), []);
+    assert.deepEqual(validateNodeConfig('loop', { retry: { attempts: '{{ $env.ATTEMPTS }}', delayMs: '{{ $env.DELAY }}' } }), []);
+  });
+
+  test('still rejects plain values of the wrong type, once', () => {
+    assert.deepEqual(validateNodeConfig('loop', { batchSize: 'ten' }), ['config.batchSize must be integer']);
+    assert.deepEqual(validateNodeConfig('loop', { batchSize: 0 }), ['config.batchSize must be >= 1']);
+    assert.deepEqual(
+      validateNodeConfig('data', { source: 'http', url: 'https://api.example.com', method: 'FETCH' }),
+      ['config.method must be equal to one of the allowed values']
+    );
+  });
+
+  test('takes no expression for the subtype or onError', () => {
+    assert.match(validateNodeConfig('data', { source: '{{ $env.SOURCE }}' })[0], /config.source ".*" is not supported/);
+    assert.deepEqual(validateNodeConfig('loop', { onError: '{{ $env.ON_ERROR }}' }), ['config.onError must be equal to one of the allowed values']);
+  });
+});
+
+describe('expressions in typed fields at run time', () => {
+  test('the resolved value is used, and checked against the schema', async () => {
+    const server = await startServer();
+    try {
+      const api = await server.signUp('loop@example.com');
+      const workflowId = (await api('POST', '/api/workflows', { name: 'Batches' })).body.workflow.id;
+      const node = async (label, node_type, config) =>
+        (await api('POST', '/api/nodes', { workflow_id: workflowId, label, node_type, config })).body.node.id;
+
+      const trigger = await node('Start', 'trigger', { type: 'manual' });
+      const loop = await node('Loop', 'loop', { input: '{{ $trigger.payload.items }}', batchSize: '{{ $trigger.payload.size }}' });
+      await api('POST', '/api/edges', { workflow_id: workflowId, source_node_id: trigger, target_node_id: loop });
+
+      const run = async payload => {
+        const executionId = (await api('POST', `/api/executions/run/${workflowId}`, { payload })).body.executionId;
+        await waitFor(async () => (await api('GET', `/api/executions/${executionId}/status`)).body.status !== 'running');
+        return (await api('GET', `/api/executions/${executionId}`)).body;
+      };
+
+      const batched = await run({ items: [1, 2, 3, 4, 5], size: 2 });
+      assert.equal(batched.status, 'completed');
+      assert.equal(batched.execution_data[loop].count, 3);
+
+      const invalid = await run({ items: [1], size: 'many' });
+      assert.equal(invalid.status, 'failed');
+      assert.match(invalid.error_message, /Invalid config after resolving expressions: config.batchSize must be integer/);
+    } finally {
+      await server.stop();
+    }
+  });
+});
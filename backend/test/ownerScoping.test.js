@@ -0,0 +1,125 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, waitFor } from './helpers/server.js';
+
+// Alice builds a workflow with a credential and runs it; Bob must not be
+// able to see, change, run or use any of it
+describe('owner scoping', () => {
+  let server;
+  let alice;
+  let bob;
+  let workflowId;
+  let codeNodeId;
+  let edgeId;
+  let credentialId;
+  let executionId;
+
+  const statusOf = async (api, id) => (await api('GET', `/api/executions/${id}/status`)).body;
+
+  const createNode = async (api, workflow_id, label, node_type, config) =>
+    (await api('POST', '/api/nodes', { workflow_id, label, node_type, config })).body.node.id;
+
+  before(async () => {
+    server = await startServer();
+    alice = await server.signUp('alice@example.com');
+    bob = await server.signUp('bob@example.com');
+
+    workflowId = (await alice('POST', '/api/workflows', { name: 'Private' })).body.workflow.id;
+    credentialId = (await alice('POST', '/api/credentials', { name: 'API', data: { token: 'alice-secret' } })).body.credential.id;
+
+    const trigger = await createNode(alice, workflowId, 'Start', 'trigger', { type: 'manual' });
+    codeNodeId = await createNode(alice, workflowId, 'Code', 'transform', {
+      type: 'code', code: 'return { ok: true }', credentialId
+    });
+    edgeId = (await alice('POST', '/api/edges', { workflow_id: workflowId, source_node_id: trigger, target_node_id: codeNodeId })).body.edge.id;
+
+    executionId = (await alice('POST', `/api/executions/run/${workflowId}`, {})).body.executionId;
+    await waitFor(async () => (await statusOf(alice, executionId)).status !== 'running');
+  });
+
+  after(() => server.stop());
+
+  test('rows created through a workflow belong to its owner', async () => {
+    const ownerId = alice.user.id;
+
+    assert.equal((await statusOf(alice, executionId)).status, 'completed');
+    assert.ok(server.db.table('nodes').every(node => node.owner_id === ownerId));
+    assert.ok(server.db.table('edges').every(edge => edge.owner_id === ownerId));
+    assert.ok(server.db.table('executions').every(execution => execution.owner_id === ownerId));
+  });
+
+  test("another user gets a 404 for every route of someone else's data", async () => {
+    const routes = [
+      ['GET', `/api/workflows/${workflowId}`],
+      ['PUT', `/api/workflows/${workflowId}`, { name: 'Mine now' }],
+      ['GET', `/api/workflows/${workflowId}/validate`],
+      ['GET', `/api/workflows/${workflowId}/export`],
+      ['POST', `/api/workflows/${workflowId}/duplicate`, {}],
+      ['GET', `/api/workflows/${workflowId}/versions`],
+      ['PUT', `/api/workflows/${workflowId}/graph`, { nodes: [], edges: [] }],
+      ['GET', `/api/nodes/${codeNodeId}`],
+      ['PUT', `/api/nodes/${codeNodeId}`, { label: 'Mine now' }],
+      ['POST', `/api/nodes/${codeNodeId}/test`, {}],
+      ['POST', '/api/nodes', { workflow_id: workflowId, label: 'Extra', node_type: 'transform', config: { type: 'code', code: 'return 1' } }],
+      ['GET', `/api/edges/${edgeId}`],
+      ['POST', `/api/executions/run/${workflowId}`, {}],
+      ['GET', `/api/executions/${executionId}`],
+      ['GET', `/api/executions/${executionId}/steps`],
+      ['GET', `/api/executions/${executionId}/status`],
+      ['POST', `/api/executions/${executionId}/retry`, { mode: 'full' }],
+      ['GET', `/api/credentials/${credentialId}`],
+      ['PUT', `/api/credentials/${credentialId}`, { name: 'Mine now' }],
+      ['GET', `/api/schedules/${workflowId}`],
+      ['DELETE', `/api/edges/${edgeId}`],
+      ['DELETE', `/api/nodes/${codeNodeId}`],
+      ['DELETE', `/api/credentials/${credentialId}`],
+      ['DELETE', `/api/workflows/${workflowId}`]
+    ];
+
+    for (const [method, path, body] of routes) {
+      const res = await bob(method, path, body);
+      assert.equal(res.status, 404, `${method} ${path} answered ${res.status}`);
+    }
+
+    const workflow = (await alice('GET', `/api/workflows/${workflowId}`)).body;
+    assert.equal(workflow.workflow.name, 'Private');
+    assert.equal(workflow.nodes.length, 2);
+    assert.equal(workflow.edges.length, 1);
+    assert.equal((await alice('GET', `/api/credentials/${credentialId}`)).status, 200);
+  });
+
+  test("lists don't include someone else's data", async () => {
+    assert.equal((await bob('GET', '/api/workflows')).body.count, 0);
+    assert.equal((await bob('GET', '/api/credentials')).body.count, 0);
+    assert.equal((await bob('GET', `/api/nodes?workflow_id=${workflowId}`)).body.count, 0);
+    assert.equal((await bob('GET', `/api/executions?workflow_id=${workflowId}`)).body.count, 0);
+  });
+
+  test("a workflow can't use someone else's credential or call their workflow", async () => {
+    const bobsWorkflow = (await bob('POST', '/api/workflows', { name: 'Sneaky' })).body.workflow.id;
+    const trigger = await createNode(bob, bobsWorkflow, 'Start', 'trigger', { type: 'manual' });
+    const borrow = await createNode(bob, bobsWorkflow, 'Borrow', 'transform', {
+      type: 'code', code: 'return 1', credentialId
+    });
+    await bob('POST', '/api/edges', { workflow_id: bobsWorkflow, source_node_id: trigger, target_node_id: borrow });
+
+    const run = (await bob('POST', `/api/executions/run/${bobsWorkflow}`, {})).body.executionId;
+    await waitFor(async () => (await statusOf(bob, run)).status !== 'running');
+    const borrowed = await statusOf(bob, run);
+    assert.equal(borrowed.status, 'failed');
+    assert.match(borrowed.error, /Credential .* not found/i);
+
+    await bob('PUT', `/api/nodes/${borrow}`, { config: { type: 'code', code: 'return {}' } });
+    const call = await createNode(bob, bobsWorkflow, 'Call', 'execute_workflow', { workflowId });
+    await bob('POST', '/api/edges', { workflow_id: bobsWorkflow, source_node_id: borrow, target_node_id: call });
+
+    const aliceRuns = server.db.table('executions').filter(execution => execution.workflow_id === workflowId).length;
+    const callRun = (await bob('POST', `/api/executions/run/${bobsWorkflow}`, {})).body.executionId;
+    await waitFor(async () => (await statusOf(bob, callRun)).status !== 'running');
+    const called = await statusOf(bob, callRun);
+
+    assert.equal(called.status, 'failed');
+    assert.match(called.error, /not found/i);
+    assert.equal(server.db.table('executions').filter(execution => execution.workflow_id === workflowId).length, aliceRuns);
+  });
+});
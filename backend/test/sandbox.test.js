@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runInSandbox } from '../src/utils/sandbox.js';
+
+const run = (code, globals = { items: [] }, limits = {}) => runInSandbox(code, globals, limits);
+
+describe('runInSandbox', () => {
+  test('returns the value and the console output', async () => {
+    const result = await run('console.log("count", items.length); return items.map(n => n * 2);', { items: [1, 2] });
+
+    assert.deepEqual(result.value, [2, 4]);
+    assert.deepEqual(result.logs, [{ level: 'log', message: 'count 2' }]);
+  });
+
+  test('reports the line an error was thrown on', async () => {
+    await assert.rejects(run('const total = 1;\nthrow new Error("bad input");'), error => {
+      assert.equal(error.line, 2);
+      assert.match(error.message, /Line 2: Error: bad input/);
+      return true;
+    });
+  });
+
+  // ========== ISOLATION ==========
+  test('has no process, require, module loading or timers', async () => {
+    const { value } = await run(`
+      return [typeof process, typeof require, typeof module, typeof setTimeout, typeof fetch, typeof Buffer];
+    `);
+
+    assert.deepEqual(value, Array(6).fill('undefined'));
+  });
+
+  test('cannot reach the host through constructors', async () => {
+    const escapes = [
+      'return this.constructor.constructor("return process")()',
+      'return items.constructor.constructor("return process")()',
+      'return (async () => {}).constructor("return process")()',
+      'return eval("process")'
+    ];
+
+    for (const code of escapes) {
+      await assert.rejects(run(code), /EvalError|Code generation from strings disallowed/, code);
+    }
+  });
+
+  test('cannot import modules', async () => {
+    await assert.rejects(
+      run('const fs = await import("fs"); return fs.readFileSync("/etc/passwd", "utf8");'),
+      /dynamic import callback was not specified/
+    );
+  });
+
+  test('does not share objects with the caller', async () => {
+    const globals = { items: [{ n: 1 }] };
+    await run('items[0].n = 2; return null;', globals);
+
+    assert.deepEqual(globals.items, [{ n: 1 }]);
+  });
+
+  // ========== LIMITS ==========
+  test('stops a busy loop at the CPU limit', async () => {
+    const started = Date.now();
+    await assert.rejects(run('while (true) {}', undefined, { cpuLimitMs: 200 }), /timed out after 200ms/);
+    assert.ok(Date.now() - started < 3000);
+  });
+
+  test('stops a busy loop that starts after an await', async () => {
+    await assert.rejects(run('await null; while (true) {}', undefined, { cpuLimitMs: 200 }), /timed out after 200ms/);
+  });
+
+  test('stops code that goes over the memory limit', async () => {
+    const code = 'const chunks = []; while (true) chunks.push(new Array(1e6).fill(chunks.length));';
+    await assert.rejects(run(code, undefined, { memoryLimitMb: 16, cpuLimitMs: 10000 }), /ran out of memory \(limit 16MB\)/);
+  });
+
+  test('stops when the execution is cancelled', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(
+      run('while (true) {}', undefined, { cpuLimitMs: 10000, signal: controller.signal }),
+      /execution cancelled/
+    );
+  });
+
+  test('a failed run leaves the next one unaffected', async () => {
+    await assert.rejects(run('globalThis.leftover = 1; while (true) {}', undefined, { cpuLimitMs: 100 }));
+    const { value } = await run('return typeof globalThis.leftover;');
+
+    assert.equal(value, 'undefined');
+  });
+});
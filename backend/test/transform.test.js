@@ -0,0 +1,46 @@
+import './helpers/env.js';
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeNodeType } from '../src/nodes/index.js';
+
+const transform = async (config, input) => (await executeNodeType(
+  { node_type: 'transform', label: 'Transform', config: { ...config, input } },
+  { inputs: {}, scope: {} }
+)).result.items;
+
+describe('summarize transform', () => {
+  before(() => mock.method(console, 'log', () => {}));
+
+  test('aggregates per group', async () => {
+    const rows = await transform({
+      type: 'summarize',
+      groupBy: 'repo',
+      aggregations: [{ op: 'count' }, { op: 'sum', field: 'additions', as: 'lines' }, { op: 'max', field: 'additions' }]
+    }, [
+      { repo: 'api', additions: 10 },
+      { repo: 'web', additions: 5 },
+      { repo: 'api', additions: '7' }
+    ]);
+
+    assert.deepEqual(rows, [
+      { repo: 'api', count: 2, lines: 17, max_additions: 10 },
+      { repo: 'web', count: 1, lines: 5, max_additions: 5 }
+    ]);
+  });
+
+  test('skips values that are not numbers instead of counting them as 0 or 1', async () => {
+    const [row] = await transform({
+      type: 'summarize',
+      aggregations: [{ op: 'avg', field: 'score' }, { op: 'min', field: 'score' }, { op: 'sum', field: 'missing' }]
+    }, [
+      { score: 4 },
+      { score: null },
+      { score: '' },
+      { score: true },
+      { score: 'n/a' },
+      { score: 8 }
+    ]);
+
+    assert.deepEqual(row, { avg_score: 6, min_score: 4, sum_missing: null });
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, waitFor } from './helpers/server.js';
+
+const SECRET = 'webhook-shared-secret';
+
+describe('webhooks', () => {
+  let server;
+  let api;
+  let workflowId;
+
+  const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(JSON.stringify(body)).digest('hex')}`;
+  const hook = (body, headers) => server.request('POST', `/api/hooks/${workflowId}/orders`, body, headers);
+  const runsOf = () => server.db.table('executions').filter(execution => execution.workflow_id === workflowId);
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp('hooks@example.com');
+
+    workflowId = (await api('POST', '/api/workflows', { name: 'Orders' })).body.workflow.id;
+    const saved = await api('PUT', `/api/workflows/${workflowId}/graph`, {
+      revision: 0,
+      nodes: [
+        { id: 'start', node_type: 'trigger', label: 'Start', config: { type: 'webhook', path: 'orders', secret: SECRET } },
+        { id: 'echo', node_type: 'transform', label: 'Echo', config: { type: 'code', code: 'return $trigger.payload.body' } }
+      ],
+      edges: [{ source_node_id: 'start', target_node_id: 'echo' }]
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  });
+
+  after(() => server.stop());
+
+  test('runs the workflow when the signature matches the body', async () => {
+    const body = { orderId: 17 };
+    const res = await hook(body, { 'x-signature-256': sign(body) });
+    assert.equal(res.status, 202);
+
+    const { executionId } = res.body;
+    await waitFor(async () => (await api('GET', `/api/executions/${executionId}/status`)).body.finished);
+    assert.equal((await api('GET', `/api/executions/${executionId}/status`)).body.status, 'completed');
+
+    // A bare hex digest works too
+    const bare = await hook(body, { 'x-signature-256': sign(body).slice('sha256='.length) });
+    assert.equal(bare.status, 202);
+  });
+
+  test('refuses a wrong or missing signature without starting a run', async () => {
+    const runsBefore = runsOf().length;
+    const body = { orderId: 18 };
+
+    const wrong = await hook(body, { 'x-signature-256': sign({ orderId: 19 }) });
+    const missing = await hook(body);
+    const otherSecret = await hook(body, {
+      'x-signature-256': `sha256=${crypto.createHmac('sha256', 'guess').update(JSON.stringify(body)).digest('hex')}`
+    });
+
+    for (const res of [wrong, missing, otherSecret]) {
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Invalid webhook signature');
+    }
+    assert.equal(runsOf().length, runsBefore);
+  });
+
+  test("stores the payload without the caller's credentials or the secret", async () => {
+    const body = { orderId: 20 };
+    const res = await hook(body, {
+      'x-signature-256': sign(body),
+      authorization: 'Bearer caller-token',
+      cookie: 'session=caller-session',
+      'x-api-key': 'caller-api-key',
+      'x-request-id': 'trace-1'
+    });
+    const { executionId } = res.body;
+    await waitFor(async () => (await api('GET', `/api/executions/${executionId}/status`)).body.finished);
+
+    const { steps } = (await api('GET', `/api/executions/${executionId}/steps`)).body;
+    const { headers } = steps[0].output.payload;
+    assert.equal(headers['x-request-id'], 'trace-1');
+    assert.equal(headers.authorization, undefined);
+    assert.equal(headers.cookie, undefined);
+    assert.equal(headers['x-api-key'], undefined);
+    assert.deepEqual(steps[1].output.result.items, [body]);
+
+    const stored = JSON.stringify([
+      server.db.table('executions').find(execution => execution.id === executionId),
+      server.db.table('execution_steps').filter(step => step.execution_id === executionId)
+    ]);
+    for (const value of ['caller-token', 'caller-session', 'caller-api-key', SECRET]) {
+      assert.ok(!stored.includes(value), `${value} was stored`);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+describe('PUT /api/workflows/:id/graph', () => {
+  let server;
+  let api;
+  let workflowId;
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp('graph@example.com');
+    workflowId = (await api('POST', '/api/workflows', { name: 'Graph' })).body.workflow.id;
+  });
+
+  after(() => server.stop());
+
+  const revisionOf = async () => (await api('GET', `/api/workflows/${workflowId}`)).body.workflow.revision;
+
+  const document = (revision, nodes, edges) => ({ revision, nodes, edges });
+  const trigger = { id: 'tmp-trigger', node_type: 'trigger', label: 'Start', config: { type: 'manual' }, position_x: 0, position_y: 0 };
+  const action = { id: 'tmp-action', node_type: 'action', label: 'Done', config: { type: 'return', value: { ok: true } }, position_x: 200, position_y: 0 };
+
+  test('creates nodes from temporary ids and edges between them', async () => {
+    const res = await api('PUT', `/api/workflows/${workflowId}/graph`, document(await revisionOf(), [trigger, action], [
+      { source_node_id: 'tmp-trigger', target_node_id: 'tmp-action' }
+    ]));
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const { idMap, nodes, edges } = res.body;
+    assert.deepEqual(Object.keys(idMap).sort(), ['tmp-action', 'tmp-trigger']);
+    assert.deepEqual(nodes.map(node => node.id).sort(), Object.values(idMap).sort());
+    assert.equal(edges.length, 1);
+    assert.equal(edges[0].source_node_id, idMap['tmp-trigger']);
+    assert.equal(edges[0].target_node_id, idMap['tmp-action']);
+  });
+
+  test('rejects a save based on an old revision', async () => {
+    const revision = await revisionOf();
+    const nodes = (await api('GET', `/api/nodes?workflow_id=${workflowId}`)).body.nodes;
+
+    // Someone else renames a node in between
+    await api('PUT', `/api/nodes/${nodes[0].id}`, { label: 'Renamed' });
+
+    const res = await api('PUT', `/api/workflows/${workflowId}/graph`, document(revision, nodes, []));
+    assert.equal(res.status, 409);
+    assert.equal((await api('GET', `/api/nodes?workflow_id=${workflowId}`)).body.nodes.length, 2);
+  });
+
+  test('rejects an invalid graph and leaves the stored one alone', async () => {
+    const nodes = (await api('GET', `/api/nodes?workflow_id=${workflowId}`)).body.nodes;
+    const [first, second] = nodes;
+
+    const res = await api('PUT', `/api/workflows/${workflowId}/graph`, document(await revisionOf(), nodes, [
+      { source_node_id: first.id, target_node_id: second.id },
+      { source_node_id: second.id, target_node_id: first.id }
+    ]));
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.length > 0);
+    assert.equal((await api('GET', `/api/edges?workflow_id=${workflowId}`)).body.edges.length, 1);
+  });
+
+  test('removes what the document leaves out', async () => {
+    const nodes = (await api('GET', `/api/nodes?workflow_id=${workflowId}`)).body.nodes;
+    const kept = nodes.filter(node => node.node_type === 'trigger');
+
+    const res = await api('PUT', `/api/workflows/${workflowId}/graph`, document(await revisionOf(), kept, []));
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.nodes.map(node => node.id), kept.map(node => node.id));
+    assert.equal(res.body.edges.length, 0);
+  });
+
+  test("is not found for another user's workflow", async () => {
+    const mallory = await server.signUp('mallory@example.com');
+    const res = await mallory('PUT', `/api/workflows/${workflowId}/graph`, document(null, [], []));
+
+    assert.equal(res.status, 404);
+    assert.equal((await api('GET', `/api/nodes?workflow_id=${workflowId}`)).body.nodes.length, 1);
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+describe('workflow versions', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp('versions@example.com');
+  });
+
+  after(() => server.stop());
+
+  const versionsOf = workflowId => server.db.table('workflow_versions')
+    .filter(version => version.workflow_id === workflowId)
+    .sort((a, b) => a.version_number - b.version_number);
+
+  test('saves at the same time each get their own version number', async () => {
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Busy' })).body.workflow.id;
+
+    const saves = await Promise.all([1, 2, 3, 4, 5, 6].map(n =>
+      api('PUT', `/api/workflows/${workflowId}`, { name: `Busy ${n}` })
+    ));
+    assert.ok(saves.every(save => save.status === 200));
+
+    // One for the creation, one per save
+    const versions = versionsOf(workflowId);
+    assert.deepEqual(versions.map(version => version.version_number), [1, 2, 3, 4, 5, 6, 7]);
+
+    const workflow = server.db.table('workflows').find(w => w.id === workflowId);
+    assert.equal(workflow.current_version_id, versions.at(-1).id);
+    assert.equal(versions.at(-1).workflow.name, workflow.name);
+  });
+
+  test('restoring a deleted node renames the references to it', async () => {
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Restore' })).body.workflow.id;
+    const save = async (nodes, edges) => {
+      const { revision } = (await api('GET', `/api/workflows/${workflowId}`)).body.workflow;
+      const res = await api('PUT', `/api/workflows/${workflowId}/graph`, { revision, nodes, edges });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      return res.body;
+    };
+
+    const first = await save([
+      { id: 'tmp-start', node_type: 'trigger', label: 'Start', config: { type: 'manual' } },
+      { id: 'tmp-lookup', node_type: 'action', label: 'Lookup', config: { type: 'return', value: { id: 7 } } },
+      { id: 'tmp-reply', node_type: 'action', label: 'Reply', config: { type: 'return', value: '{{ $node["tmp-lookup"].json.id }}' } }
+    ], [
+      { source_node_id: 'tmp-start', target_node_id: 'tmp-lookup' },
+      { source_node_id: 'tmp-lookup', target_node_id: 'tmp-reply' }
+    ]);
+    const { idMap } = first;
+    const reply = first.nodes.find(node => node.label === 'Reply');
+    assert.equal(reply.config.value, `{{ $node["${idMap['tmp-lookup']}"].json.id }}`);
+
+    const withLookup = versionsOf(workflowId).at(-1);
+    await save([first.nodes.find(node => node.label === 'Start'), reply], [
+      { source_node_id: idMap['tmp-start'], target_node_id: reply.id }
+    ]);
+
+    const restored = await api('POST', `/api/workflows/${workflowId}/versions/${withLookup.id}/restore`, {});
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+
+    const lookupId = restored.body.idMap[idMap['tmp-lookup']];
+    const nodes = server.db.table('nodes').filter(node => node.workflow_id === workflowId);
+    assert.ok(nodes.some(node => node.id === lookupId && node.label === 'Lookup'));
+    assert.equal(nodes.find(node => node.id === reply.id).config.value, `{{ $node["${lookupId}"].json.id }}`);
+  });
+
+  test('a version that could not be recorded fails the request', async () => {
+    const workflowId = (await api('POST', '/api/workflows', { name: 'Fragile' })).body.workflow.id;
+
+    server.db.failNextCall('record_workflow_version');
+    const res = await api('PUT', `/api/workflows/${workflowId}`, { name: 'Fragile 2' });
+
+    assert.equal(res.status, 500);
+    assert.equal(versionsOf(workflowId).length, 1);
+  });
+});